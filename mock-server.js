@@ -0,0 +1,68 @@
+/* mock-server.js - tiny key/value backend for the REST storage adapter
+   - No dependencies: node mock-server.js [port] [dataFile]
+   - GET /kv lists keys, GET/PUT/DELETE /kv/<key> read, replace and remove one value
+   - Every key carries a revision sent as an ETag; a PUT with If-Match is refused with 412
+     when the key has changed since, which is how the portal detects stale writes
+   - Keeps data in memory; pass a dataFile to persist it between runs
+   - Point the portal at it from the browser console:
+       localStorage.setItem('ap_storage', JSON.stringify({ type: 'rest', url: 'http://localhost:8787' }))
+*/
+var http = require('http');
+var fs = require('fs');
+
+var port = parseInt(process.argv[2], 10) || 8787;
+var dataFile = process.argv[3] || '';
+var store = {};
+var revs = {};
+
+if (dataFile && fs.existsSync(dataFile)) {
+  try { store = JSON.parse(fs.readFileSync(dataFile, 'utf8')) || {}; } catch (e) { console.error('Could not read', dataFile, e.message); }
+  Object.keys(store).forEach(function (k) { revs[k] = 1; });
+}
+function persist() {
+  if (!dataFile) return;
+  try { fs.writeFileSync(dataFile, JSON.stringify(store, null, 2)); } catch (e) { console.error('Could not write', dataFile, e.message); }
+}
+
+function send(res, status, body, key) {
+  var headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, If-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+  };
+  if (key !== undefined) headers.ETag = '"' + (revs[key] || 0) + '"';
+  res.writeHead(status, headers);
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+var server = http.createServer(function (req, res) {
+  var path = decodeURIComponent(req.url.split('?')[0]);
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (path === '/kv' && req.method === 'GET') return send(res, 200, Object.keys(store));
+
+  var m = /^\/kv\/(.+)$/.exec(path);
+  if (!m) return send(res, 404, { error: 'Not found' });
+  var key = m[1];
+
+  if (req.method === 'GET') return key in store ? send(res, 200, store[key], key) : send(res, 404, { error: 'No such key' }, key);
+  if (req.method === 'DELETE') { delete store[key]; revs[key] = (revs[key] || 0) + 1; persist(); return send(res, 204, undefined, key); }
+  if (req.method === 'PUT') {
+    var chunks = [];
+    req.on('data', function (c) { chunks.push(c); });
+    req.on('end', function () {
+      var value;
+      try { value = JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'); } catch (e) { return send(res, 400, { error: 'Body must be JSON' }); }
+      var ifMatch = req.headers['if-match'];
+      if (ifMatch !== undefined && ifMatch.replace(/\D/g, '') !== String(revs[key] || 0)) return send(res, 412, { error: 'Revision mismatch' }, key);
+      store[key] = value; revs[key] = (revs[key] || 0) + 1;
+      persist();
+      send(res, 204, undefined, key);
+    });
+    return;
+  }
+  send(res, 405, { error: 'Method not allowed' });
+});
+
+server.listen(port, function () { console.log('Mock storage listening on http://localhost:' + port + (dataFile ? ' (persisting to ' + dataFile + ')' : '')); });
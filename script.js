@@ -10,47 +10,397 @@ function $ (sel) { try { return document.querySelector(sel); } catch (e) { conso
 function $$ (sel) { try { return Array.from(document.querySelectorAll(sel)); } catch (e) { console.debug('Bad selector', sel); return []; } }
 
 /* ---------- Crypto helpers ---------- */
+function toHex(buf) { return Array.from(new Uint8Array(buf)).map(function (b) { return ('0' + b.toString(16)).slice(-2); }).join(''); }
 function generateSalt(bytes) {
   bytes = bytes || 16;
   var arr = new Uint8Array(bytes);
-  try { window.crypto.getRandomValues(arr); } catch (e) { for (var i=0;i<arr.length;i++) arr[i] = Math.floor(Math.random()*256); }
-  return Array.prototype.map.call(arr, function (b) { return ('0' + b.toString(16)).slice(-2); }).join('');
+  // no Math.random fallback: a predictable salt is worse than a visible failure
+  if (!window.crypto || typeof window.crypto.getRandomValues !== 'function') throw new Error('Secure random numbers are not available in this browser');
+  window.crypto.getRandomValues(arr);
+  return toHex(arr);
 }
+// legacy v0 format: one SHA-256 round over salt+password, stored as bare hex
 async function hashWithSalt(password, salt) {
   try {
     var enc = new TextEncoder();
     var data = enc.encode((salt || '') + (password || ''));
     var buf = await crypto.subtle.digest('SHA-256', data);
-    return Array.from(new Uint8Array(buf)).map(function (b) { return ('0' + b.toString(16)).slice(-2); }).join('');
+    return toHex(buf);
   } catch (err) {
     console.error('hashWithSalt failed', err);
     throw err;
   }
 }
 
-/* ---------- localStorage DB helpers ---------- */
+async function sha256Hex(text) { return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(text)))); }
+
+/* ---------- Password hashing (versioned) ---------- */
+// stored as "pbkdf2-sha256$<iterations>$<hex>"; raise the count and old hashes are upgraded on next login
+var PBKDF2_ITERATIONS = 210000;
+var PASSWORD_SCHEME = 'pbkdf2-sha256';
+async function pbkdf2(password, salt, iterations) {
+  var enc = new TextEncoder();
+  var key = await crypto.subtle.importKey('raw', enc.encode(password || ''), 'PBKDF2', false, ['deriveBits']);
+  var bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: enc.encode(salt || ''), iterations: iterations }, key, 256);
+  return toHex(bits);
+}
+async function hashPassword(password, salt, iterations) {
+  iterations = iterations || PBKDF2_ITERATIONS;
+  return PASSWORD_SCHEME + '$' + iterations + '$' + await pbkdf2(password, salt, iterations);
+}
+function parsePasswordHash(stored) {
+  var parts = String(stored || '').split('$');
+  if (parts.length === 3 && parts[0] === PASSWORD_SCHEME) return { scheme: parts[0], iterations: parseInt(parts[1], 10) || 0, hash: parts[2] };
+  if (/^[0-9a-f]{64}$/.test(String(stored || ''))) return { scheme: 'sha256', iterations: 1, hash: stored };
+  return null;
+}
+function safeEqual(a, b) {
+  a = String(a || ''); b = String(b || '');
+  var diff = a.length ^ b.length;
+  for (var i = 0; i < Math.max(a.length, b.length); i++) diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  return diff === 0;
+}
+// { ok, needsRehash } for the password against a user record in any supported format
+// (base64 "pass" fields from early builds are converted by schema migration v2)
+async function verifyPassword(password, user) {
+  var parsed = parsePasswordHash(user.passHash);
+  if (!parsed || !user.salt) throw new Error('Invalid account data');
+  if (parsed.scheme === 'sha256') return { ok: safeEqual(await hashWithSalt(password, user.salt), parsed.hash), needsRehash: true };
+  var ok = safeEqual(await pbkdf2(password, user.salt, parsed.iterations), parsed.hash);
+  return { ok: ok, needsRehash: parsed.iterations < PBKDF2_ITERATIONS };
+}
+async function setPassword(user, password) {
+  var salt = generateSalt(16);
+  user.passHash = await hashPassword(password, salt); user.salt = salt;
+  delete user.pass;
+}
+
+/* ---------- Storage adapters ---------- */
+// Every adapter speaks the same async contract:
+//   get(key) -> stored value or null, remove(key), keys() -> ['ap_users', ...]
+//   getVersioned(key) -> { value, rev } where rev is 0 for a key never written
+//   set(key, value, expectedRev) -> true, or false (nothing written) when expectedRev is given
+//     and the stored revision has moved on; every set/remove bumps the revision
+// Revisions live next to the data under "rev:<key>", outside the ap_* namespace, so they
+// never show up in keys() or backups.
+function revKey(key) { return 'rev:' + key; }
+function createLocalStorageAdapter() {
+  function rev(key) { return parseInt(localStorage.getItem(revKey(key)), 10) || 0; }
+  function bump(key) { var r = rev(key) + 1; localStorage.setItem(revKey(key), String(r)); return r; }
+  return {
+    name: 'localStorage',
+    get: async function (key) { var raw = localStorage.getItem(key); return raw === null ? null : JSON.parse(raw); },
+    getVersioned: async function (key) { var raw = localStorage.getItem(key); return { value: raw === null ? null : JSON.parse(raw), rev: rev(key) }; },
+    // check and write happen in one synchronous step, which localStorage never interleaves
+    set: async function (key, value, expectedRev) {
+      if (expectedRev !== undefined && rev(key) !== expectedRev) return false;
+      localStorage.setItem(key, JSON.stringify(value)); bump(key);
+      return true;
+    },
+    remove: async function (key) { localStorage.removeItem(key); bump(key); },
+    keys: async function () {
+      var out = [];
+      for (var i = 0; i < localStorage.length; i++) { var k = localStorage.key(i); if (k && k.indexOf('ap_') === 0) out.push(k); }
+      return out;
+    }
+  };
+}
+function createIndexedDBAdapter(dbName) {
+  dbName = dbName || 'alumni_portal';
+  var opening = null;
+  function open() {
+    if (!opening) opening = new Promise(function (resolve, reject) {
+      var req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = function () { req.result.createObjectStore('kv'); };
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error); };
+    });
+    return opening;
+  }
+  // fn(store, done) issues requests and calls done(result); the promise settles when the transaction commits
+  function run(mode, fn) {
+    return open().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var tx = db.transaction('kv', mode); var result;
+        fn(tx.objectStore('kv'), function (r) { result = r; });
+        tx.oncomplete = function () { resolve(result); };
+        tx.onerror = tx.onabort = function () { reject(tx.error); };
+      });
+    });
+  }
+  function read(key) {
+    return run('readonly', function (st, done) {
+      var v = st.get(key), r = st.get(revKey(key));
+      r.onsuccess = function () { done({ value: v.result === undefined ? null : v.result, rev: r.result || 0 }); };
+    });
+  }
+  return {
+    name: 'indexedDB',
+    get: async function (key) { return (await read(key)).value; },
+    getVersioned: read,
+    // the revision check and the write share one readwrite transaction
+    set: function (key, value, expectedRev) {
+      return run('readwrite', function (st, done) {
+        var r = st.get(revKey(key));
+        r.onsuccess = function () {
+          var current = r.result || 0;
+          if (expectedRev !== undefined && current !== expectedRev) return done(false);
+          st.put(value, key); st.put(current + 1, revKey(key)); done(true);
+        };
+      });
+    },
+    remove: async function (key) {
+      await run('readwrite', function (st) {
+        var r = st.get(revKey(key));
+        r.onsuccess = function () { st.delete(key); st.put((r.result || 0) + 1, revKey(key)); };
+      });
+    },
+    keys: async function () { var ks = await run('readonly', function (st, done) { var req = st.getAllKeys(); req.onsuccess = function () { done(req.result); }; }); return ks.map(String).filter(function (k) { return k.indexOf('ap_') === 0; }); }
+  };
+}
+// Talks to any server exposing GET/PUT/DELETE /kv/<key> and GET /kv (see mock-server.js).
+// Revisions travel as ETags: a PUT with If-Match is refused with 412 when the key has moved on.
+function createRestAdapter(baseUrl) {
+  baseUrl = String(baseUrl || '').replace(/\/+$/, '');
+  async function call(method, path, body, headers) {
+    var opts = { method: method, headers: Object.assign({ 'Accept': 'application/json' }, headers || {}) };
+    if (body !== undefined) { opts.headers['Content-Type'] = 'application/json'; opts.body = JSON.stringify(body); }
+    var res = await fetch(baseUrl + path, opts);
+    if (res.status === 404 || res.status === 412) return { status: res.status, value: null, rev: parseRev(res) };
+    if (!res.ok) throw new Error(method + ' ' + path + ' failed: HTTP ' + res.status);
+    return { status: res.status, value: res.status === 204 ? null : await res.json(), rev: parseRev(res) };
+  }
+  function parseRev(res) { var tag = res.headers && res.headers.get ? res.headers.get('ETag') : null; return parseInt(String(tag || '').replace(/\D/g, ''), 10) || 0; }
+  function path(key) { return '/kv/' + encodeURIComponent(key); }
+  return {
+    name: 'rest',
+    get: async function (key) { return (await call('GET', path(key))).value; },
+    getVersioned: async function (key) { var r = await call('GET', path(key)); return { value: r.value, rev: r.rev }; },
+    set: async function (key, value, expectedRev) {
+      var r = await call('PUT', path(key), value, expectedRev === undefined ? null : { 'If-Match': '"' + expectedRev + '"' });
+      return r.status !== 412;
+    },
+    remove: async function (key) { await call('DELETE', path(key)); },
+    keys: async function () { return (await call('GET', '/kv')).value || []; }
+  };
+}
+// The backend is picked per browser: window.AP_STORAGE (set before script.js loads) or the
+// ap_storage localStorage key, e.g. {"type":"indexeddb"} or {"type":"rest","url":"http://localhost:8787"}.
+function storageConfig() {
+  if (window.AP_STORAGE) return window.AP_STORAGE;
+  try { return JSON.parse(localStorage.getItem('ap_storage') || 'null') || { type: 'local' }; } catch (e) { return { type: 'local' }; }
+}
+function createStorageAdapter(config) {
+  config = config || {};
+  if (config.type === 'indexeddb' && window.indexedDB) return createIndexedDBAdapter(config.name);
+  if (config.type === 'rest' && config.url) return createRestAdapter(config.url);
+  return createLocalStorageAdapter();
+}
+
+/* ---------- DB helpers ---------- */
+var DB_UPDATE_ATTEMPTS = 5;
+var CHANGE_PING_KEY = 'ap_changed';
 var DB = {
-  getUsers: function () { try { return JSON.parse(localStorage.getItem('ap_users') || '[]'); } catch (e) { console.warn('ap_users parse error', e); return []; } },
-  saveUsers: function (u) { try { localStorage.setItem('ap_users', JSON.stringify(u)); } catch (e) { console.error('saveUsers failed', e); } },
-  addUser: function (user) { var u = DB.getUsers(); u.push(user); DB.saveUsers(u); },
-  getAnnouncements: function () { try { return JSON.parse(localStorage.getItem('ap_ann') || '[]'); } catch (e) { return []; } },
-  saveAnnouncement: function (a) { try { var arr = DB.getAnnouncements(); arr.unshift(a); localStorage.setItem('ap_ann', JSON.stringify(arr)); } catch (e) { console.error('saveAnnouncement', e); } },
-  logActivity: function (entry) { try { var logs = JSON.parse(localStorage.getItem('ap_logs') || '[]'); logs.unshift(entry); localStorage.setItem('ap_logs', JSON.stringify(logs.slice(0,200))); } catch (e) { console.error('logActivity error', e); } },
-  getLogs: function () { try { return JSON.parse(localStorage.getItem('ap_logs') || '[]'); } catch (e) { return []; } }
+  adapter: createStorageAdapter(storageConfig()),
+  use: function (adapter) { DB.adapter = adapter; },
+  _chain: Promise.resolve(),
+  // read-modify-write steps run one at a time, so un-awaited calls (logging) can't interleave
+  serial: function (fn) { var run = DB._chain.then(fn); DB._chain = run.catch(function(){}); return run; },
+  read: async function (key, fallback) { try { var v = await DB.adapter.get(key); return v === null || v === undefined ? fallback : v; } catch (e) { console.warn(key + ' read error', e); return fallback; } },
+  write: async function (key, value) { try { await DB.adapter.set(key, value); DB.changed(key); } catch (e) { console.error(key + ' write failed', e); } },
+  has: async function (key) { try { return (await DB.adapter.get(key)) !== null; } catch (e) { return false; } },
+  // Revision-guarded read-modify-write: fn gets a fresh copy of the stored value (or of fallback)
+  // and returns the value to store, or undefined to leave it alone. If another tab wrote the key
+  // in between, the write is refused and fn runs again on the newer data, so fn must not keep
+  // state from an earlier attempt. Throws once DB_UPDATE_ATTEMPTS conflicts in a row.
+  update: async function (key, fallback, fn) {
+    for (var attempt = 0; attempt < DB_UPDATE_ATTEMPTS; attempt++) {
+      var current = await DB.adapter.getVersioned(key);
+      var value = current.value === null || current.value === undefined ? JSON.parse(JSON.stringify(fallback)) : current.value;
+      var next = await fn(value);
+      if (next === undefined) return value;
+      if (await DB.adapter.set(key, next, current.rev)) { DB.changed(key); return next; }
+    }
+    throw new Error(t('db.conflict', { key: key }));
+  },
+  // localStorage raises "storage" events in other tabs by itself; other backends leave a ping
+  // there so open tabs still hear about the write
+  changed: function (key) {
+    if (DB.adapter.name === 'localStorage') return;
+    try { localStorage.setItem(CHANGE_PING_KEY, JSON.stringify({ key: key, at: Date.now() + Math.random() })); } catch (e) {}
+  },
+  onChange: function (fn) { changeListeners.push(fn); },
+  getUsers: function () { return DB.read('ap_users', []); },
+  saveUsers: function (u) { return DB.write('ap_users', u); },
+  updateUsers: function (fn) { return DB.update('ap_users', [], fn); },
+  // resolves false (and writes nothing) when the email is already registered
+  addUser: async function (user) {
+    var added;
+    await DB.updateUsers(function (u) { added = !findUser(u, user.email); if (added) u.push(user); return added ? u : undefined; });
+    return added;
+  },
+  getAnnouncements: function () { return DB.read('ap_ann', []); },
+  saveAnnouncements: function (arr) { return DB.write('ap_ann', arr); },
+  // entry: { type, actor, target, action, details }; see the Audit log section for the stored shape
+  logActivity: function (entry) { return DB.serial(function () { return appendAuditEntry(entry); }).catch(function (e) { console.error('Activity log write failed', e); }); },
+  getLogs: function () { return DB.read('ap_logs', []); },
+  getAlumni: function () { return DB.read('ap_alumni', []); },
+  saveAlumni: function (a) { return DB.write('ap_alumni', a); },
+  upsertAlumnus: function (rec) { return DB.update('ap_alumni', [], function (a) { var i = a.findIndex(function(x){ return x && sameEmail(x.email, rec.email); }); if (i >= 0) a[i] = Object.assign({}, a[i], rec, { email: a[i].email }); else a.push(rec); return a; }); },
+  getMessages: function () { return DB.read('ap_messages', []); },
+  saveMessages: function (m) { return DB.write('ap_messages', m); },
+  getOutbox: function () { return DB.read('ap_outbox', []); },
+  saveOutbox: function (o) { return DB.write('ap_outbox', o); },
+  getMentors: function () { return DB.read('ap_mentors', []); },
+  getMentorships: function () { return DB.read('ap_mentorships', []); },
+  getJobs: function () { return DB.read('ap_jobs', []); },
+  getEvents: function () { return DB.read('ap_events', []); },
+  saveEvents: function (ev) { return DB.write('ap_events', ev); }
 };
+// Applies fn(user, users) to one account through DB.update. fn returns an error message to abort,
+// or false when there turns out to be nothing to change. Like any DB.update callback it may run
+// more than once. -> { ok, msg, user }
+async function updateUser(email, fn) {
+  var result;
+  await DB.updateUsers(async function (users) {
+    var u = findUser(users, email);
+    result = { ok: !!u, msg: u ? '' : t('account.notFound'), user: u };
+    if (!u) return undefined;
+    var err = await fn(u, users);
+    if (err === false) return undefined;
+    if (err) { result = { ok: false, msg: err, user: u }; return undefined; }
+    return users;
+  });
+  return result;
+}
+
+/* ---------- Change notifications ---------- */
+// Listeners get the list of ap_* keys another tab changed, batched over CHANGE_DEBOUNCE_MS.
+// A null key (localStorage.clear() elsewhere) is reported as '*'.
+var CHANGE_DEBOUNCE_MS = 300;
+var changeListeners = [];
+var pendingChanges = {}, changeTimer = null;
+window.addEventListener('storage', function (e) {
+  var key = e.key;
+  if (key === CHANGE_PING_KEY) { try { key = JSON.parse(e.newValue).key; } catch (err) { return; } }
+  if (key !== null && (typeof key !== 'string' || key.indexOf('ap_') !== 0)) return;
+  pendingChanges[key === null ? '*' : key] = true;
+  clearTimeout(changeTimer);
+  changeTimer = setTimeout(function () {
+    var keys = Object.keys(pendingChanges); pendingChanges = {};
+    changeListeners.forEach(function (fn) { try { fn(keys); } catch (err) { console.error('change listener failed', err); } });
+  }, CHANGE_DEBOUNCE_MS);
+});
+function changedAny(keys, watched) { return keys.indexOf('*') >= 0 || keys.some(function (k) { return watched.indexOf(k) >= 0; }); }
+
+/* ---------- Schema migrations ---------- */
+var SCHEMA_VERSION_KEY = 'ap_schema_version';
+// Append only. Each step runs once, in order; the stored version is bumped after it succeeds.
+var MIGRATIONS = [
+  { version: 1, name: 'Rename role "user" to "member"', up: async function () {
+    await DB.updateUsers(function (users) {
+      var n = 0;
+      users.forEach(function(u){ if (u && u.role === 'user') { u.role = 'member'; n++; } });
+      return n ? users : undefined;
+    });
+  } },
+  { version: 2, name: 'Hash legacy base64 passwords', up: async function () {
+    var dropped;
+    await DB.updateUsers(async function (users) {
+      var n = 0; dropped = [];
+      for (var i = 0; i < users.length; i++) {
+        var u = users[i];
+        if (!u || !u.pass || u.passHash) continue;
+        // sign-in no longer reads base64: a credential that can't be converted is dropped and the
+        // member has to choose a new password, rather than holding every later migration back
+        try { await setPassword(u, atob(u.pass)); } catch (e) { delete u.pass; u.mustSetPassword = true; dropped.push(u.email); }
+        n++;
+      }
+      return n ? users : undefined;
+    });
+    if (dropped.length) await DB.logActivity({ type: 'system.migration', actor: 'system', target: dropped.join(', '), action: 'Dropped unreadable legacy passwords of ' + dropped.length + ' account(s); they must set a new password', details: { accounts: dropped } });
+  } },
+  { version: 3, name: 'Create directory records for existing members', up: async function () {
+    var users = await DB.getUsers();
+    await DB.update('ap_alumni', [], function (alumni) {
+      var n = 0;
+      users.forEach(function(u){
+        if (!u || !u.email || normalizeRole(u.role) === 'admin') return;
+        if (alumni.find(function(a){ return a && sameEmail(a.email, u.email); })) return;
+        alumni.push({ email: u.email, name: u.name || '', gradYear: null, department: '', company: '', title: '', city: '', skills: [], visible: true, created: u.created || new Date().toISOString() });
+        n++;
+      });
+      return n ? alumni : undefined;
+    });
+  } },
+  { version: 4, name: 'Give announcements ids and publish dates', up: async function () {
+    await DB.update('ap_ann', [], function (anns) {
+      var n = 0;
+      anns.forEach(function(a){
+        if (!a || a.id) return;
+        a.id = newId('ann'); a.pinned = !!a.pinned; a.publishAt = a.publishAt || a.timestamp || new Date().toISOString(); a.expiresAt = a.expiresAt || null;
+        n++;
+      });
+      return n ? anns : undefined;
+    });
+  } },
+  { version: 5, name: 'Hash-chain the activity log', up: function () {
+    return DB.serial(async function () {
+      var meta;
+      await DB.update('ap_logs', [], async function (logs) {
+        var prev = LOG_GENESIS; var chained = [];
+        for (var i = logs.length - 1; i >= 0; i--) {
+          var l = logs[i]; if (!l) continue;
+          var rec = { seq: chained.length + 1, timestamp: l.timestamp || '', type: l.type || 'legacy', actor: l.actor || l.email || '', target: l.target || '', action: l.action || '', details: l.details || l.meta || null, prevHash: prev };
+          rec.hash = await auditEntryHash(rec); prev = rec.hash;
+          chained.unshift(rec);
+        }
+        meta = { seq: chained.length, head: prev, prunedSeq: 0, prunedHash: LOG_GENESIS };
+        return chained;
+      });
+      await DB.update(LOG_META_KEY, null, function () { return meta; });
+    });
+  } },
+  { version: 6, name: 'Mark existing accounts as email-verified', up: async function () {
+    // accounts from before verification existed keep working; imported ones confirm by setting a password
+    await DB.updateUsers(function (users) {
+      var n = 0;
+      users.forEach(function(u){ if (u && u.emailVerified === undefined) { u.emailVerified = !u.mustSetPassword; n++; } });
+      return n ? users : undefined;
+    });
+  } }
+];
+var SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+async function runMigrations() {
+  var current = await DB.read(SCHEMA_VERSION_KEY, 0);
+  for (var i = 0; i < MIGRATIONS.length; i++) {
+    var m = MIGRATIONS[i];
+    if (m.version <= current) continue;
+    try {
+      await m.up();
+    } catch (e) {
+      console.error('Migration v' + m.version + ' failed', e);
+      return;   // leave the version where it is so the step retries on next load
+    }
+    current = m.version;
+    // only ever raise the version: another tab may have finished a later step meanwhile
+    await DB.update(SCHEMA_VERSION_KEY, 0, function (v) { return v < current ? current : undefined; });
+    await DB.logActivity({ type: 'system.migration', actor: 'system', target: 'v' + m.version, action: 'Schema migrated to v' + m.version + ' (' + m.name + ')' });
+  }
+}
 
 /* ---------- Ensure admin exists (safe) ---------- */
+var DEFAULT_ADMIN_EMAIL = 'admin@portal';
+var DEFAULT_ADMIN_PASSWORD = 'admin123';
 async function ensureAdmin() {
   try {
-    var users = DB.getUsers();
-    var adminEmail = 'admin@portal';
-    if (!users.find(function(u){ return u && u.email === adminEmail; })) {
-      var salt = generateSalt(16);
-      var passHash = await hashWithSalt('admin123', salt);
-      var admin = { email: adminEmail, passHash: passHash, salt: salt, name: 'Administrator', disabled: false, created: new Date().toISOString(), lastLogin: null, role: 'admin' };
-      users.push(admin);
-      DB.saveUsers(users);
-      DB.logActivity({ email: adminEmail, action: 'Admin account created', timestamp: new Date().toISOString() });
+    var adminEmail = DEFAULT_ADMIN_EMAIL;
+    if (findUser(await DB.getUsers(), adminEmail)) return;
+    var admin = { email: adminEmail, name: 'Administrator', disabled: false, created: new Date().toISOString(), lastLogin: null, role: 'admin', mustChangePassword: true, emailVerified: true };
+    await setPassword(admin, DEFAULT_ADMIN_PASSWORD);
+    // addUser re-checks under the revision guard, so two tabs loading at once create one admin
+    if (await DB.addUser(admin)) {
+      await DB.logActivity({ type: 'user.create', actor: 'system', target: adminEmail, action: 'Admin account created', details: { after: { role: 'admin' } } });
       console.debug('Default admin created');
     }
   } catch (e) {
@@ -58,10 +408,61 @@ async function ensureAdmin() {
   }
 }
 
+/* ---------- Ensure directory records exist (safe) ---------- */
+var DIRECTORY_SEED = [
+  { email: 'priya.sharma@example.com', name: 'Priya Sharma', gradYear: 2016, department: 'Computer Science', company: 'Microsoft', title: 'Software Engineer', city: 'Hyderabad', skills: ['C#', 'Azure', 'Distributed systems'] },
+  { email: 'rahul.mehta@example.com', name: 'Rahul Mehta', gradYear: 2018, department: 'Statistics', company: 'Amazon', title: 'Data Scientist', city: 'Bengaluru', skills: ['Python', 'Machine learning', 'SQL'] },
+  { email: 'sneha.gupta@example.com', name: 'Sneha Gupta', gradYear: 2014, department: 'Commerce', company: 'Startup Founder', title: 'Entrepreneur', city: 'Pune', skills: ['Product', 'Fundraising', 'Marketing'] },
+  { email: 'arjun.verma@example.com', name: 'Arjun Verma', gradYear: 2009, department: 'Physics', company: 'IIT Delhi', title: 'Professor', city: 'New Delhi', skills: ['Research', 'Teaching', 'Optics'] }
+];
+async function ensureDirectory() {
+  try {
+    if (await DB.has('ap_alumni')) return;
+    await DB.update('ap_alumni', null, function (stored) {
+      if (stored !== null) return undefined;   // another tab seeded (or saved) it first
+      return DIRECTORY_SEED.map(function(s){ return Object.assign({ visible: true, created: new Date().toISOString() }, s); });
+    });
+  } catch (e) {
+    console.error('ensureDirectory failed', e);
+  }
+}
+
+/* ---------- Ensure events exist (safe) ---------- */
+// dates are relative to the first load (days ahead, local start time, length in hours) so a fresh
+// install always has upcoming events to RSVP to
+var EVENTS_SEED = [
+  { title: 'Annual Alumni Meet', description: 'Reconnect with classmates.', location: 'College Auditorium', inDays: 14, at: [17, 0], hours: 4, capacity: 200 },
+  { title: 'Career Growth Workshop', description: 'Boost your career.', location: 'Seminar Hall 2', inDays: 40, at: [10, 0], hours: 3, capacity: 60 },
+  { title: 'Global Alumni Webinar', description: 'Future of Tech.', location: 'Online', inDays: 57, at: [18, 30], hours: 1.5, capacity: 0 }
+];
+async function ensureEvents() {
+  try {
+    if (await DB.has('ap_events')) return;
+    await DB.update('ap_events', null, function (stored) {
+      if (stored !== null) return undefined;
+      return EVENTS_SEED.map(function(s){
+        var start = new Date(); start.setDate(start.getDate() + s.inDays); start.setHours(s.at[0], s.at[1], 0, 0);
+        var end = new Date(start.getTime() + s.hours * 3600000);
+        return { id: newId('ev'), title: s.title, description: s.description, location: s.location, start: start.toISOString(), end: end.toISOString(), capacity: s.capacity,
+          status: 'active', attendees: [], waitlist: [], by: 'admin@portal', created: new Date().toISOString() };
+      });
+    });
+  } catch (e) {
+    console.error('ensureEvents failed', e);
+  }
+}
+
 /* ---------- Utilities ---------- */
+var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Accounts are matched on email regardless of case and surrounding spaces. New accounts store the
+// lowercase form; older mixed-case records keep theirs, so always carry on with the stored u.email.
+function normalizeEmail(email) { return String(email || '').trim().toLowerCase(); }
+function sameEmail(a, b) { return !!a && !!b && normalizeEmail(a) === normalizeEmail(b); }
+function findUser(users, email) { return (users || []).find(function(u){ return u && sameEmail(u.email, email); }); }
+function newId(prefix) { return (prefix ? prefix + '_' : '') + Date.now().toString(36) + generateSalt(4); }
 function evaluatePassword(password) {
-  var res = { score:0, msg:'Too weak', valid:false };
-  if (!password) { res.msg = 'Enter password'; return res; }
+  var res = { score:0, msg:t('password.tooWeak'), valid:false };
+  if (!password) { res.msg = t('password.enter'); return res; }
   var len = password.length;
   var hasUpper = /[A-Z]/.test(password);
   var hasLower = /[a-z]/.test(password);
@@ -71,13 +472,1579 @@ function evaluatePassword(password) {
   if (hasUpper && hasLower) res.score++;
   if (hasDigit) res.score++;
   if (hasSpecial) res.score++;
-  if (res.score <= 1) res.msg = 'Weak — add length & varied chars';
-  else if (res.score === 2) res.msg = 'Fair — add uppercase & digit';
-  else if (res.score === 3) res.msg = 'Good — add special char';
-  else res.msg = 'Strong password';
+  if (res.score <= 1) res.msg = t('password.weak');
+  else if (res.score === 2) res.msg = t('password.fair');
+  else if (res.score === 3) res.msg = t('password.good');
+  else res.msg = t('password.strong');
   res.valid = (len >= 8) && hasUpper && hasDigit;
   return res;
 }
+function escapeHTML(v) {
+  if (v === null || v === undefined) return '';
+  return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+function initials(name) {
+  var parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (!parts.length) return '?';
+  return (parts[0][0] + (parts.length > 1 ? parts[parts.length-1][0] : '')).toUpperCase();
+}
+
+/* ---------- Localization ---------- */
+// UI text lives in I18N, one message table per locale. t(key, params) looks a key up in the chosen
+// locale, then in English, then gives the key itself, and fills {name} placeholders from params.
+// A message can also be a set of plural forms ({ one, other, ... } as named by Intl.PluralRules);
+// params.count picks the form. Activity log text stays English so the log reads the same for everyone.
+var LOCALE_KEY = 'ap_locale';   // per-browser choice, like ap_dark
+var DEFAULT_LOCALE = 'en';
+var I18N = {
+  en: {
+    'locale.name': 'English',
+
+    'nav.language': 'Language',
+    'nav.logout': 'Logout',
+    'nav.home': 'Home',
+    'nav.events': 'Events',
+    'nav.alumni': 'Alumni',
+    'nav.jobs': 'Jobs',
+    'nav.mentorship': 'Mentorship',
+    'nav.profile': 'Profile',
+    'nav.contact': 'Contact',
+    'nav.admin': 'Admin',
+    'nav.login': 'Login',
+
+    'password.tooWeak': 'Too weak',
+    'password.enter': 'Enter password',
+    'password.weak': 'Weak — add length & varied chars',
+    'password.fair': 'Fair — add uppercase & digit',
+    'password.good': 'Good — add special char',
+    'password.strong': 'Strong password',
+    'password.rules': 'Password must be 8+ chars, include uppercase and digit',
+    'password.currentRequired': 'Enter your current password',
+    'password.currentWrong': 'Current password is incorrect',
+    'password.mismatch': 'Passwords do not match',
+    'password.same': 'New password must differ from the current one',
+    'password.changedElsewhere': 'Your password was changed in another window. Reload and try again.',
+    'password.changed': 'Password changed.',
+    'password.changeFailed': 'Could not change password',
+    'password.strength': 'Password strength:',
+    'password.changeHeading': 'Change password',
+    'password.current': 'Current password',
+    'password.new': 'New password',
+    'password.confirmNew': 'Confirm new password',
+    'password.update': 'Update password',
+
+    'account.notFound': 'Account not found',
+
+    'ann.enterText': 'Enter announcement',
+    'ann.badPublishDate': 'Enter a valid publish date',
+    'ann.badExpiry': 'Expiry must be after the publish date',
+    'ann.noPostPermission': 'You do not have permission to post announcements',
+    'ann.notFound': 'Announcement not found',
+    'ann.noManagePermission': 'You do not have permission to manage announcements',
+    'ann.none': 'No announcements yet.',
+    'ann.pinned': 'Pinned',
+    'ann.scheduledFor': 'scheduled for {date}',
+    'ann.expired': 'expired',
+    'ann.until': 'until {date}',
+    'ann.pin': 'Pin',
+    'ann.unpin': 'Unpin',
+    'ann.post': 'Post Announcement',
+    'ann.postFailed': 'Could not post announcement',
+    'ann.confirmDelete': 'Delete this announcement?',
+    'ann.heading': 'Announcements',
+    'ann.placeholder': 'Write an announcement...',
+    'ann.formatting': 'Formatting: **bold**, *italic*, `code`, [link](https://...), # heading, "- " lists',
+    'ann.publishAt': 'Publish at (empty = now)',
+    'ann.expiresAt': 'Expires at (optional)',
+    'ann.pinTop': 'Pin to the top',
+    'ann.cancelEdit': 'Cancel Edit',
+
+    'inbox.status.new': 'New',
+    'inbox.status.inProgress': 'In progress',
+    'inbox.status.closed': 'Closed',
+    'inbox.noPermission': 'You do not have permission to manage messages',
+    'inbox.unknownStatus': 'Unknown status',
+    'inbox.noteRequired': 'Write a note first',
+    'inbox.assignStaffOnly': 'Messages can only be assigned to staff',
+    'inbox.notFound': 'Message not found',
+    'inbox.replyRequired': 'Write a reply first',
+    'inbox.newCount': { one: '{count} new', other: '{count} new' },
+    'inbox.none': 'No messages.',
+    'inbox.spam': 'Spam',
+    'inbox.select': 'Select a message to read it.',
+    'inbox.flagged': 'Flagged as spam',
+    'inbox.status': 'Status',
+    'inbox.assignedTo': 'Assigned to',
+    'inbox.unassigned': 'Unassigned',
+    'inbox.notSpam': 'Not spam',
+    'inbox.markSpam': 'Mark as spam',
+    'inbox.notes': 'Internal notes',
+    'inbox.noNotes': 'No notes yet.',
+    'inbox.notePlaceholder': 'Add a note for other admins',
+    'inbox.addNote': 'Add Note',
+    'inbox.reply': 'Reply',
+    'inbox.replyPlaceholder': 'Write a reply to {email}',
+    'inbox.saveDraft': 'Save Draft',
+    'inbox.queueReply': 'Queue Reply',
+    'inbox.outbox': 'Outbox:',
+    'inbox.outbox.draft': 'draft',
+    'inbox.outbox.queued': 'queued',
+    'inbox.heading': 'Inbox',
+    'inbox.search': 'Search messages',
+    'inbox.searchPlaceholder': 'Search name, email, text or notes',
+    'inbox.allButSpam': 'All (except spam)',
+
+    'contact.browserLimit': 'You have sent several messages recently. Please try again later.',
+    'contact.emailLimit': 'We already have several recent messages from this address. Please wait for our reply.',
+    'contact.nameRequired': 'Please enter your name',
+    'contact.emailRequired': 'Please enter your email',
+    'contact.messageRequired': 'Please enter a message',
+    'contact.sent': 'Message sent! Thank you — we will respond by email.',
+    'contact.sendFailed': 'Could not send message',
+    'contact.formLabel': 'Contact form',
+    'contact.heading': 'Get in Touch',
+    'contact.intro': 'Have a question or want to share something with alumni? Drop us a message and we\'ll get back to you.',
+    'contact.name': 'Your Name',
+    'contact.email': 'Your Email',
+    'contact.message': 'Your Message',
+    'contact.send': 'Send',
+    'contact.officeHours': 'Office Hours:',
+    'contact.officeHoursValue': 'Mon - Fri, 9:00 AM — 5:00 PM',
+    'contact.visit': 'Visit us',
+    'contact.phone': 'Phone',
+
+    'csv.downloadFailed': 'CSV download failed: {error}',
+
+    'import.empty': 'The file is empty',
+    'import.needColumn': 'The first row must be a header with a "{column}" column',
+    'import.extraValues': 'More values than header columns',
+    'import.exists': 'Account already exists',
+    'import.repeated': 'Repeats an earlier row',
+    'import.noPermission': 'You do not have permission to add users',
+    'import.dryRun': 'Dry run: {create} to create, {duplicate} duplicate, {error} with errors. Nothing has been saved yet.',
+    'import.line': 'Line {line}',
+    'import.noEmail': '(no email)',
+    'import.chooseFile': 'Choose a CSV file first',
+    'import.readFailed': 'Could not read the CSV file',
+    'import.confirm': { one: 'Create {count} account?', other: 'Create {count} accounts?' },
+    'import.done': { one: 'Imported {count} account.', other: 'Imported {count} accounts.' },
+    'import.failed': 'Import failed',
+    'import.heading': 'Import users from CSV',
+    'import.help': 'Needs email and name columns; gradYear, department, company, title, city and skills are optional. Imported members choose their password from an emailed link: use Send setup link in the user list above, or they use Forgot password? on the login page.',
+    'import.file': 'CSV file',
+    'import.apply': 'Import',
+    'import.template': 'Template',
+
+    'form.emailRequired': 'Email required',
+    'form.emailInvalid': 'Enter a valid email',
+    'form.nameRequired': 'Name required',
+    'form.gradYearInvalid': 'Enter a 4-digit graduation year',
+    'form.tooLong': 'Keep your message under {max} characters',
+    'form.unknownAction': 'Unknown action',
+    'form.loginFirst': 'Log in first',
+    'form.passwordRequired': 'Password required',
+    'form.confirmRequired': 'Confirm your password',
+    'form.unexpected': 'An unexpected error occurred',
+
+    'log.modified': 'Entry #{seq} was modified',
+    'log.hashMismatch': 'Entry #{seq} does not match the hash recorded in #{next}',
+    'log.gap': 'Entries missing between #{from} and #{to}',
+    'log.headRemoved': 'The most recent entries (after #{seq}) were removed',
+    'log.tailRemoved': 'Entries older than #{seq} were removed outside the retention policy',
+    'log.allRemoved': { one: 'The only entry was removed', other: 'All {count} entries were removed' },
+    'log.retentionNumber': 'Enter 0 or a positive number',
+    'log.retentionMin': 'Keep at least 50 entries (or 0 for no limit)',
+    'log.retentionPermission': 'You do not have permission to change log retention',
+    'log.allTypes': 'All types',
+    'log.count': { one: '{shown} of {count} entry', other: '{shown} of {count} entries' },
+    'log.limited': '(showing newest {limit}; export for all)',
+    'log.none': 'No matching entries.',
+    'log.intact': { one: 'Chain intact: {count} entry verified.', other: 'Chain intact: {count} entries verified.' },
+    'log.problems': 'Integrity problems found:',
+    'log.verifyFailed': 'Could not verify the log',
+    'log.retentionFailed': 'Could not save retention',
+    'log.noExportPermission': 'You do not have permission to export activity',
+    'log.heading': 'Activity log',
+    'log.actor': 'Actor',
+    'log.actorPlaceholder': 'email contains...',
+    'log.type': 'Type',
+    'log.from': 'From',
+    'log.to': 'To',
+    'log.export': 'Export Filtered CSV',
+    'log.verify': 'Verify Integrity',
+    'log.maxEntries': 'Keep newest entries (0 = no limit)',
+    'log.maxDays': 'Keep for days (0 = no limit)',
+    'log.saveRetention': 'Save Retention',
+
+    'backup.users': 'users',
+    'backup.alumni': 'directory records',
+    'backup.ann': 'announcements',
+    'backup.events': 'events',
+    'backup.messages': 'contact messages',
+    'backup.outbox': 'outbox items',
+    'backup.mentors': 'mentor profiles',
+    'backup.mentorships': 'mentorship requests',
+    'backup.jobs': 'job postings',
+    'backup.noPermission': 'You do not have permission to back up portal data',
+    'backup.notJSON': 'The file is not valid JSON',
+    'backup.wrongFormat': 'This is not an Alumni Portal backup',
+    'backup.badVersion': 'Unsupported backup version {version}',
+    'backup.noData': 'The backup has no data section',
+    'backup.checksum': 'Checksum mismatch: the file was modified or is incomplete',
+    'backup.newerSchema': 'The backup comes from a newer version of the portal (schema v{schema})',
+    'backup.malformed': 'Malformed data for {keys}',
+    'backup.chooseMode': 'Choose merge or replace',
+    'backup.olderSchema': 'This backup uses an older data format (schema v{schema}); restore it in replace mode so it can be migrated',
+    'backup.noAdmin': 'The restored data would have no active administrator',
+    'backup.noRestorePermission': 'You do not have permission to restore portal data',
+    'backup.failed': 'Backup failed',
+    'backup.chooseFile': 'Choose a backup file first',
+    'backup.added': { one: '{count} added', other: '{count} added' },
+    'backup.replaced': { one: '{count} replaced', other: '{count} replaced' },
+    'backup.removed': { one: '{count} removed', other: '{count} removed' },
+    'backup.previewHead': 'Backup from {date} by {by} ({mode}). Nothing has been changed yet.',
+    'backup.unknown': 'unknown',
+    'backup.mode.merge': 'merge',
+    'backup.mode.replace': 'replace',
+    'backup.noDifferences': 'No differences from the current data.',
+    'backup.logsKept': 'The activity log on this portal is kept as it is; log entries in the backup are not restored.',
+    'backup.readFailed': 'Could not read the backup file',
+    'backup.confirmReplace': 'Replace ALL portal data with this backup? Anything not in the backup is lost.',
+    'backup.confirmMerge': 'Merge this backup into the current data?',
+    'backup.restored': 'Backup restored. The page will reload.',
+    'backup.restoreFailed': 'Restore failed',
+    'backup.heading': 'Backup & restore',
+    'backup.intro': 'Download everything the portal stores (accounts, directory, announcements, events, activity) as one JSON file, or load a backup made on this or another machine.',
+    'backup.download': 'Download Backup',
+    'backup.file': 'Backup file',
+    'backup.modeLabel': 'Restore mode',
+    'backup.modeMerge': 'Merge into current data',
+    'backup.modeReplace': 'Replace all current data',
+    'backup.restore': 'Restore',
+
+    'events.notFound': 'Event not found',
+    'events.wasCancelled': 'This event was cancelled',
+    'events.isPast': 'This event has already taken place',
+    'events.titleRequired': 'Enter an event title',
+    'events.badStart': 'Enter a valid start date',
+    'events.badEnd': 'End must be after start',
+    'events.badCapacity': 'Capacity cannot be negative',
+    'events.noPermission': 'You do not have permission to manage events',
+    'events.goingOf': { one: '{count} / {capacity} going', other: '{count} / {capacity} going' },
+    'events.going': { one: '{count} going', other: '{count} going' },
+    'events.waitlisted': { one: '{count} on the waitlist', other: '{count} on the waitlist' },
+    'events.addToCalendar': 'Add to calendar',
+    'events.loginToRsvp': 'Log in to RSVP',
+    'events.cancelRsvp': 'Cancel RSVP',
+    'events.joinWaitlist': 'Join waitlist',
+    'events.rsvp': 'RSVP',
+    'events.cancelled': 'Cancelled',
+    'events.youreGoing': 'You\'re going',
+    'events.waitlistPos': 'Waitlist #{pos}',
+    'events.noneUpcoming': 'No upcoming events right now. Check back soon.',
+    'events.nonePast': 'No past events yet.',
+    'events.none': 'No events yet.',
+    'events.past': 'Past',
+    'events.upcoming': 'Upcoming',
+    'events.restore': 'Restore',
+    'events.cancel': 'Cancel',
+    'events.attendeesCsv': 'Attendees CSV',
+    'events.new': 'New event',
+    'events.edit': 'Edit event',
+    'events.saveFailed': 'Could not save event',
+    'events.confirmCancel': 'Cancel "{title}"? Attendees keep their RSVP if you restore it later.',
+    'events.noExportPermission': 'You do not have permission to export attendees',
+    'events.heading': 'Upcoming Alumni Events',
+    'events.find': 'Find Your Event',
+    'events.search': 'Search events...',
+    'events.pastHeading': 'Past Events',
+    'events.title': 'Title',
+    'events.starts': 'Starts',
+    'events.ends': 'Ends',
+    'events.capacity': 'Capacity (0 = unlimited)',
+    'events.save': 'Save Event',
+
+    'mentor.status.pending': 'Pending',
+    'mentor.status.accepted': 'Active',
+    'mentor.status.declined': 'Declined',
+    'mentor.status.withdrawn': 'Withdrawn',
+    'mentor.status.ended': 'Ended',
+    'mentor.expertiseRequired': 'List at least one area of expertise',
+    'mentor.badCapacity': 'Capacity must be between 1 and {max}',
+    'mentor.reasonField': 'Same field: {field}',
+    'mentor.reasonCompany': 'Also at {company}',
+    'mentor.reasonSkills': 'Skills: {skills}',
+    'mentor.loginRequired': 'Log in to request mentorship',
+    'mentor.notYourself': 'You cannot mentor yourself',
+    'mentor.notTaking': 'This mentor is not taking requests',
+    'mentor.alreadyOpen': 'You already have an open request with this mentor',
+    'mentor.full': 'This mentor has no free places right now',
+    'mentor.tooManyPending': { one: 'You have {count} request waiting for an answer. Withdraw it first.', other: 'You have {count} requests waiting for an answer. Withdraw one first.' },
+    'mentor.requestNotFound': 'Request not found',
+    'mentor.notYours': 'You cannot change this request',
+    'mentor.alreadyState': 'This request is already {status}',
+    'mentor.atCapacity': 'You are at capacity. Raise your capacity or end a mentorship first.',
+    'mentor.titleAt': '{title} at {company}',
+    'mentor.noPlaces': 'No free places',
+    'mentor.request': 'Request',
+    'mentor.noOverlap': 'No overlap with your profile',
+    'mentor.load': { one: '{load}/{count} mentee', other: '{load}/{count} mentees' },
+    'mentor.noneFound': 'No mentors found yet.',
+    'mentor.withdraw': 'Withdraw',
+    'mentor.end': 'End',
+    'mentor.accept': 'Accept',
+    'mentor.decline': 'Decline',
+    'mentor.noneOutgoing': 'You have not requested a mentor yet.',
+    'mentor.noneIncoming': 'No requests yet.',
+    'mentor.saved': 'Mentor profile saved.',
+    'mentor.saveFailed': 'Could not save mentor profile',
+    'mentor.requestSent': 'Request sent.',
+    'mentor.summaryMentors': { one: '{count} mentor', other: '{count} mentors' },
+    'mentor.summaryActive': { one: '{count} active pairing', other: '{count} active pairings' },
+    'mentor.summaryPending': { one: '{count} pending request', other: '{count} pending requests' },
+    'mentor.since': 'since {date}',
+    'mentor.noPairings': 'No active pairings.',
+    'mentor.noExportPermission': 'You do not have permission to export mentorships',
+    'mentor.find': 'Find a mentor',
+    'mentor.intro': 'Suggestions are ranked by your field, company and skills.',
+    'mentor.introLink': 'Keep your profile up to date for better matches.',
+    'mentor.search': 'Search mentors',
+    'mentor.searchPlaceholder': 'Search by name, expertise or company',
+    'mentor.messageTo': 'Message to',
+    'mentor.requestPlaceholder': 'What would you like help with?',
+    'mentor.send': 'Send Request',
+    'mentor.myRequests': 'My requests',
+    'mentor.be': 'Be a mentor',
+    'mentor.open': 'I\'m open to mentoring members',
+    'mentor.expertise': 'Areas of expertise (comma separated)',
+    'mentor.expertisePlaceholder': 'e.g. career change, data science, interviews',
+    'mentor.capacity': 'How many mentees at once',
+    'mentor.bio': 'How you can help',
+    'mentor.toMe': 'Requests to me',
+    'mentor.exportPairings': 'Export Pairings CSV',
+
+    'jobs.status.pending': 'Waiting for approval',
+    'jobs.status.approved': 'Approved',
+    'jobs.status.rejected': 'Rejected',
+    'jobs.status.closed': 'Closed',
+    'jobs.loginRequired': 'Log in to post a job',
+    'jobs.titleRequired': 'Enter a job title',
+    'jobs.companyRequired': 'Enter the company',
+    'jobs.locationRequired': 'Enter a location or mark the job as remote',
+    'jobs.descriptionTooLong': 'Keep the description under {max} characters',
+    'jobs.badLink': 'The application link must start with https:// or mailto:',
+    'jobs.expiryRequired': 'Enter an expiry date',
+    'jobs.expiryPast': 'The expiry date must be in the future',
+    'jobs.expiryTooFar': { one: 'Postings can run for at most {count} day', other: 'Postings can run for at most {count} days' },
+    'jobs.noPermission': 'You do not have permission to approve job postings',
+    'jobs.notFound': 'Job posting not found',
+    'jobs.alreadyState': 'This posting was already {status}',
+    'jobs.posterOnly': 'Only the poster can close this job',
+    'jobs.alreadyClosed': 'This posting is already closed',
+    'jobs.notOpen': 'This job is no longer open',
+    'jobs.ownPosting': 'You posted this job',
+    'jobs.remote': 'Remote',
+    'jobs.close': 'Close',
+    'jobs.howToApply': 'How to apply',
+    'jobs.appliedUndo': 'Applied (undo)',
+    'jobs.iApplied': 'I applied',
+    'jobs.until': 'until {date}',
+    'jobs.live': 'Live',
+    'jobs.expired': 'Expired',
+    'jobs.postedBy': 'posted by {name}',
+    'jobs.appliedCount': { one: '{count} member applied', other: '{count} members applied' },
+    'jobs.allLocations': 'All locations',
+    'jobs.count': { one: '{shown} of {count} opening', other: '{shown} of {count} openings' },
+    'jobs.noneMatch': 'No openings match right now.',
+    'jobs.noneMine': 'You have not posted any jobs yet.',
+    'jobs.submitted': 'Thanks! Your posting goes live once an admin approves it.',
+    'jobs.postFailed': 'Could not post the job',
+    'jobs.confirmClose': 'Close this posting?',
+    'jobs.waitingCount': { one: '{count} waiting for approval', other: '{count} waiting for approval' },
+    'jobs.approve': 'Approve',
+    'jobs.reject': 'Reject',
+    'jobs.takeDown': 'Take down',
+    'jobs.by': 'by {email}',
+    'jobs.waiting': 'waiting',
+    'jobs.liveApplied': { one: 'live, {count} applied', other: 'live, {count} applied' },
+    'jobs.noneAdmin': 'No job postings waiting or live.',
+    'jobs.confirmTakeDown': 'Take this posting down?',
+    'jobs.board': 'Job board',
+    'jobs.intro': 'Openings shared by fellow alumni. Postings disappear after their expiry date.',
+    'jobs.search': 'Search jobs',
+    'jobs.searchPlaceholder': 'Search title, company or description',
+    'jobs.remoteOnly': 'Remote only',
+    'jobs.postHeading': 'Post an opening',
+    'jobs.remoteFriendly': 'Remote friendly',
+    'jobs.expires': 'Expires on (at most 90 days from now)',
+    'jobs.applyUrl': 'Application link or email (optional)',
+    'jobs.description': 'Description',
+    'jobs.submit': 'Submit for Approval',
+    'jobs.mine': 'My postings',
+    'jobs.adminHeading': 'Job postings',
+
+    'analytics.active': { one: 'Active (last day)', other: 'Active (last {count} days)' },
+    'analytics.dormant': 'Dormant',
+    'analytics.never': 'Never logged in',
+    'analytics.registrations': 'Registrations over time',
+    'analytics.members': 'Members',
+    'analytics.activity': 'Active versus dormant members',
+    'analytics.logins': 'Logins per period',
+    'analytics.enabled': 'Enabled',
+    'analytics.disabled': 'Disabled',
+    'analytics.accounts': 'Enabled and disabled accounts',
+    'analytics.heading': 'Analytics',
+    'analytics.range': 'Time range',
+    'analytics.range30': 'Last 30 days',
+    'analytics.range90': 'Last 90 days',
+    'analytics.range365': 'Last 12 months',
+    'analytics.rangeAll': 'All time',
+    'analytics.registrationsHead': 'Registrations',
+    'analytics.loginsHead': 'Logins',
+    'analytics.loginsNote': 'From the retained activity log.',
+    'analytics.activityHead': 'Active vs dormant members',
+    'analytics.activityNote': 'Enabled accounts only; the time range does not apply.',
+    'analytics.accountsHead': 'Accounts by role',
+    'analytics.noExportPermission': 'You do not have permission to export analytics',
+
+    'auth.noAccount': 'No account found. Register first.',
+    'auth.disabled': 'Account disabled. Contact admin.',
+    'auth.mustSetPassword': 'This account has no password yet. Use "Forgot password?" with this email to get a link for setting one.',
+    'auth.locked': { one: 'Too many failed attempts. Try again in {count} minute.', other: 'Too many failed attempts. Try again in {count} minutes.' },
+    'auth.invalidData': 'Invalid account data',
+    'auth.wrongPassword': 'Incorrect password',
+    'auth.passwordJustChanged': 'Your password was just changed. Please sign in again.',
+    'auth.unverified': 'Confirm your email address first. We sent you a link when you signed up.',
+
+    'role.admin': 'Administrator',
+    'role.moderator': 'Moderator',
+    'role.organizer': 'Event organizer',
+    'role.classrep': 'Class representative',
+    'role.member': 'Member',
+    'role.unknown': 'Unknown role',
+    'role.noPermission': 'You do not have permission to assign roles',
+    'role.lastAdmin': 'Cannot remove the last admin',
+
+    'users.noTogglePermission': 'You do not have permission to enable or disable accounts',
+    'users.adminsOnly': 'Only admins can disable admin accounts',
+    'users.lastAdmin': 'Cannot disable the last admin',
+    'users.noExportPermission': 'You do not have permission to export users',
+    'users.heading': 'Users',
+    'users.export': 'Export Users CSV',
+
+    'db.conflict': 'Could not save {key}: it kept changing in another window. Please try again.',
+
+    'common.all': 'All',
+    'common.edit': 'Edit',
+    'common.delete': 'Delete',
+    'common.exportFailed': 'Export failed',
+    'common.saveChanges': 'Save Changes',
+    'common.save': 'Save',
+    'common.preview': 'Preview',
+
+    'dir.batch': 'Batch {year}',
+    'dir.none': 'No alumni match these filters.',
+    'dir.count': { one: '{count} alumnus', other: '{count} alumni' },
+    'dir.prev': 'Prev',
+    'dir.next': 'Next',
+    'dir.page': 'Page {page} of {pages}',
+    'dir.heading': 'Meet Our Alumni',
+    'dir.search': 'Search Alumni',
+    'dir.searchPlaceholder': 'Search by name, company, city or skill...',
+    'dir.batchLabel': 'Batch',
+    'dir.allBatches': 'All batches',
+    'dir.allDepartments': 'All departments',
+    'dir.company': 'Company',
+    'dir.allCompanies': 'All companies',
+    'dir.location': 'Location',
+    'dir.sortBy': 'Sort by',
+    'dir.sort.name': 'Name A–Z',
+    'dir.sort.nameDesc': 'Name Z–A',
+    'dir.sort.batchNew': 'Newest batch',
+    'dir.sort.batchOld': 'Oldest batch',
+    'dir.clear': 'Clear',
+
+    'login.title': 'Login',
+    'login.signUp': 'Sign Up',
+    'login.register': 'Register',
+    'login.fullName': 'Full name',
+    'login.gradYear': 'Graduation year',
+    'login.department': 'Department',
+    'login.confirmPassword': 'Confirm password',
+    'login.haveAccount': 'Already have an account? Login',
+    'login.noAccount': 'Don\'t have an account? Sign Up',
+    'login.userExists': 'User already exists',
+    'login.setupSent': 'This email was added by the alumni office. We sent it a link to choose your password.',
+    'login.verifySent': 'Almost done! We sent a confirmation link to {email}. Open it, then log in.',
+    'login.verifyFailed': 'Your account was created, but the confirmation email could not be sent. Use "Resend confirmation email" after trying to log in.',
+    'login.forgot': 'Forgot password?',
+    'login.resend': 'Resend confirmation email',
+    'login.formLabel': 'Login or Sign up form',
+    'login.email': 'Email',
+    'login.password': 'Password',
+    'login.showPassword': 'Show password',
+    'login.adminHint': 'Or sign in as admin on',
+    'login.adminLink': 'Admin Dashboard',
+
+    'profile.title': 'My Profile',
+    'profile.loginPrompt': 'Please log in to view your profile.',
+    'profile.forceChange': 'For security, choose a new password before continuing.',
+    'profile.photoType': 'Choose an image file',
+    'profile.photoSize': 'Photo must be under {size} KB',
+    'profile.saved': 'Profile saved.',
+    'profile.saveFailed': 'Could not save profile',
+    'profile.photoUrl': 'Photo URL',
+    'profile.uploadPhoto': 'Upload photo',
+    'profile.removePhoto': 'Remove photo',
+    'profile.displayName': 'Display name',
+    'profile.bio': 'Bio',
+    'profile.bioPlaceholder': 'A few lines about yourself',
+    'profile.gradYearPlaceholder': 'e.g. 2016',
+    'profile.jobTitle': 'Job title',
+    'profile.city': 'City',
+    'profile.skills': 'Skills (comma separated)',
+    'profile.visible': 'Show me in the alumni directory',
+    'profile.save': 'Save profile',
+    'profile.photoInvalid': 'Photo must be an https:// link or an uploaded image',
+
+    'admin.role': 'Role',
+    'admin.enable': 'Enable',
+    'admin.disable': 'Disable',
+    'admin.passwordNotSet': 'password not set',
+    'admin.lastLogin': 'Last: {date}',
+    'admin.never': 'Never',
+    'admin.created': 'Created: {date}',
+    'admin.enterCredentials': 'Enter admin credentials',
+    'admin.notFound': 'Admin not found',
+    'admin.wrongPassword': 'Incorrect admin password',
+    'admin.loginFailed': 'Admin login failed',
+    'admin.loginHeading': 'Admin Login',
+    'admin.signIn': 'Sign in as admin',
+    'admin.defaultLabel': 'Default:',
+    'admin.defaultHint': '(you will be asked to change it on first sign-in)',
+    'admin.intro': 'Manage users, announcements and export activity.',
+    'admin.signedInAs': 'Signed in as:',
+    'admin.totalUsers': 'Total users',
+    'admin.populateDemo': 'Populate Demo',
+    'admin.demoAdded': 'Demo users added: {users}',
+    'admin.demoFailed': 'Could not populate demo',
+    'admin.unverified': 'email not confirmed',
+    'admin.sendSetup': 'Send setup link',
+    'admin.setupSent': 'Setup link sent to {email}.',
+    'admin.setupNotNeeded': 'This account already has a password.',
+
+    'footer.rights': '© 2025 Alumni Portal. All rights reserved.',
+
+    'page.profile': 'Alumni Portal - My Profile',
+    'page.mentorship': 'Alumni Portal - Mentorship',
+    'page.jobs': 'Alumni Portal - Jobs',
+    'page.contact': 'Alumni Portal - Contact',
+    'page.index': 'Alumni Portal - Home',
+    'page.login': 'Alumni Portal - Login',
+    'page.admin': 'Alumni Portal - Admin',
+    'page.events': 'Alumni Portal - Events',
+    'page.alumni': 'Alumni Portal - Alumni',
+
+    'home.welcome': 'Welcome to the Alumni Portal',
+    'home.tagline': 'Connect with old classmates, see announcements, and keep in touch with college events.',
+    'home.latest': 'Latest Announcements',
+
+    'mail.failed': 'Could not send the email. Try again later.',
+    'mail.verify.subject': 'Confirm your Alumni Portal email',
+    'mail.verify.body': { one: 'Hi {name},\n\nConfirm this address to finish setting up your Alumni Portal account:\n{link}\n\nThe link works once and expires in {count} hour. If you did not sign up, ignore this email.', other: 'Hi {name},\n\nConfirm this address to finish setting up your Alumni Portal account:\n{link}\n\nThe link works once and expires in {count} hours. If you did not sign up, ignore this email.' },
+    'mail.reset.subject': 'Reset your Alumni Portal password',
+    'mail.reset.body': { one: 'Hi {name},\n\nSomeone asked to reset the password for {email}. Choose a new one here:\n{link}\n\nThe link works once and expires in {count} minute. If it was not you, ignore this email; your password stays the same.', other: 'Hi {name},\n\nSomeone asked to reset the password for {email}. Choose a new one here:\n{link}\n\nThe link works once and expires in {count} minutes. If it was not you, ignore this email; your password stays the same.' },
+    'mail.setup.subject': 'Set up your Alumni Portal account',
+    'mail.setup.body': { one: 'Hi {name},\n\nThe alumni office created an Alumni Portal account for {email}. Choose your password here:\n{link}\n\nThe link works once and expires in {count} hour.', other: 'Hi {name},\n\nThe alumni office created an Alumni Portal account for {email}. Choose your password here:\n{link}\n\nThe link works once and expires in {count} hours.' },
+    'mail.heading': 'Mail outbox',
+    'mail.intro': 'Emails sent by the portal (account confirmation, password reset). Without a mail server they stay here: copy a link to the member yourself if needed.',
+    'mail.none': 'No emails yet.',
+
+    'token.tooSoon': 'A link was sent moments ago. Check your inbox or try again in a minute.',
+    'token.invalid': 'This link is not valid or has already been used.',
+    'token.expired': 'This link has expired. Ask for a new one.',
+
+    'reset.title': 'Choose a new password',
+    'reset.save': 'Save Password',
+    'reset.sent': 'If an account exists for that email, we sent it a link to reset the password.',
+    'reset.done': 'Password saved. You can log in now.',
+
+    'verify.done': 'Email confirmed. You can log in now.',
+    'verify.resent': 'If this account still needs confirming, a new link is on its way.'
+  },
+  es: {
+    'locale.name': 'Español',
+
+    'nav.language': 'Idioma',
+    'nav.logout': 'Cerrar sesión',
+    'nav.home': 'Inicio',
+    'nav.events': 'Eventos',
+    'nav.alumni': 'Exalumnos',
+    'nav.jobs': 'Empleos',
+    'nav.mentorship': 'Mentoría',
+    'nav.profile': 'Perfil',
+    'nav.contact': 'Contacto',
+    'nav.admin': 'Administración',
+    'nav.login': 'Iniciar sesión',
+
+    'password.tooWeak': 'Demasiado débil',
+    'password.enter': 'Introduce una contraseña',
+    'password.weak': 'Débil — usa más caracteres y más variados',
+    'password.fair': 'Aceptable — añade una mayúscula y un número',
+    'password.good': 'Buena — añade un carácter especial',
+    'password.strong': 'Contraseña segura',
+    'password.rules': 'La contraseña debe tener al menos 8 caracteres, una mayúscula y un número',
+    'password.currentRequired': 'Introduce tu contraseña actual',
+    'password.currentWrong': 'La contraseña actual no es correcta',
+    'password.mismatch': 'Las contraseñas no coinciden',
+    'password.same': 'La nueva contraseña debe ser distinta de la actual',
+    'password.changedElsewhere': 'Tu contraseña se cambió en otra ventana. Recarga e inténtalo de nuevo.',
+    'password.changed': 'Contraseña cambiada.',
+    'password.changeFailed': 'No se pudo cambiar la contraseña',
+    'password.strength': 'Seguridad de la contraseña:',
+    'password.changeHeading': 'Cambiar contraseña',
+    'password.current': 'Contraseña actual',
+    'password.new': 'Nueva contraseña',
+    'password.confirmNew': 'Confirma la nueva contraseña',
+    'password.update': 'Actualizar contraseña',
+
+    'account.notFound': 'Cuenta no encontrada',
+
+    'ann.enterText': 'Escribe el anuncio',
+    'ann.badPublishDate': 'Introduce una fecha de publicación válida',
+    'ann.badExpiry': 'La caducidad debe ser posterior a la fecha de publicación',
+    'ann.noPostPermission': 'No tienes permiso para publicar anuncios',
+    'ann.notFound': 'Anuncio no encontrado',
+    'ann.noManagePermission': 'No tienes permiso para gestionar anuncios',
+    'ann.none': 'Todavía no hay anuncios.',
+    'ann.pinned': 'Fijado',
+    'ann.scheduledFor': 'programado para el {date}',
+    'ann.expired': 'caducado',
+    'ann.until': 'hasta el {date}',
+    'ann.pin': 'Fijar',
+    'ann.unpin': 'Desfijar',
+    'ann.post': 'Publicar anuncio',
+    'ann.postFailed': 'No se pudo publicar el anuncio',
+    'ann.confirmDelete': '¿Eliminar este anuncio?',
+    'ann.heading': 'Anuncios',
+    'ann.placeholder': 'Escribe un anuncio...',
+    'ann.formatting': 'Formato: **negrita**, *cursiva*, `código`, [enlace](https://...), # título, listas con "- "',
+    'ann.publishAt': 'Publicar el (vacío = ahora)',
+    'ann.expiresAt': 'Caduca el (opcional)',
+    'ann.pinTop': 'Fijar arriba',
+    'ann.cancelEdit': 'Cancelar edición',
+
+    'inbox.status.new': 'Nuevo',
+    'inbox.status.inProgress': 'En curso',
+    'inbox.status.closed': 'Cerrado',
+    'inbox.noPermission': 'No tienes permiso para gestionar mensajes',
+    'inbox.unknownStatus': 'Estado desconocido',
+    'inbox.noteRequired': 'Escribe primero una nota',
+    'inbox.assignStaffOnly': 'Los mensajes solo se pueden asignar al personal',
+    'inbox.notFound': 'Mensaje no encontrado',
+    'inbox.replyRequired': 'Escribe primero una respuesta',
+    'inbox.newCount': { one: '{count} nuevo', other: '{count} nuevos' },
+    'inbox.none': 'No hay mensajes.',
+    'inbox.spam': 'Spam',
+    'inbox.select': 'Selecciona un mensaje para leerlo.',
+    'inbox.flagged': 'Marcado como spam',
+    'inbox.status': 'Estado',
+    'inbox.assignedTo': 'Asignado a',
+    'inbox.unassigned': 'Sin asignar',
+    'inbox.notSpam': 'No es spam',
+    'inbox.markSpam': 'Marcar como spam',
+    'inbox.notes': 'Notas internas',
+    'inbox.noNotes': 'Todavía no hay notas.',
+    'inbox.notePlaceholder': 'Añade una nota para otros administradores',
+    'inbox.addNote': 'Añadir nota',
+    'inbox.reply': 'Respuesta',
+    'inbox.replyPlaceholder': 'Escribe una respuesta a {email}',
+    'inbox.saveDraft': 'Guardar borrador',
+    'inbox.queueReply': 'Poner en cola',
+    'inbox.outbox': 'Bandeja de salida:',
+    'inbox.outbox.draft': 'borrador',
+    'inbox.outbox.queued': 'en cola',
+    'inbox.heading': 'Bandeja de entrada',
+    'inbox.search': 'Buscar mensajes',
+    'inbox.searchPlaceholder': 'Busca por nombre, correo, texto o notas',
+    'inbox.allButSpam': 'Todos (excepto spam)',
+
+    'contact.browserLimit': 'Has enviado varios mensajes hace poco. Inténtalo de nuevo más tarde.',
+    'contact.emailLimit': 'Ya tenemos varios mensajes recientes de esta dirección. Espera nuestra respuesta, por favor.',
+    'contact.nameRequired': 'Introduce tu nombre',
+    'contact.emailRequired': 'Introduce tu correo electrónico',
+    'contact.messageRequired': 'Escribe un mensaje',
+    'contact.sent': '¡Mensaje enviado! Gracias, te responderemos por correo.',
+    'contact.sendFailed': 'No se pudo enviar el mensaje',
+    'contact.formLabel': 'Formulario de contacto',
+    'contact.heading': 'Ponte en contacto',
+    'contact.intro': '¿Tienes una pregunta o quieres compartir algo con los exalumnos? Escríbenos y te responderemos.',
+    'contact.name': 'Tu nombre',
+    'contact.email': 'Tu correo electrónico',
+    'contact.message': 'Tu mensaje',
+    'contact.send': 'Enviar',
+    'contact.officeHours': 'Horario de atención:',
+    'contact.officeHoursValue': 'Lun - Vie, 9:00 — 17:00',
+    'contact.visit': 'Visítanos',
+    'contact.phone': 'Teléfono',
+
+    'csv.downloadFailed': 'No se pudo descargar el CSV: {error}',
+
+    'import.empty': 'El archivo está vacío',
+    'import.needColumn': 'La primera fila debe ser un encabezado con una columna "{column}"',
+    'import.extraValues': 'Hay más valores que columnas en el encabezado',
+    'import.exists': 'La cuenta ya existe',
+    'import.repeated': 'Repite una fila anterior',
+    'import.noPermission': 'No tienes permiso para añadir usuarios',
+    'import.dryRun': 'Simulación: {create} por crear, {duplicate} duplicadas, {error} con errores. Todavía no se ha guardado nada.',
+    'import.line': 'Línea {line}',
+    'import.noEmail': '(sin correo)',
+    'import.chooseFile': 'Elige primero un archivo CSV',
+    'import.readFailed': 'No se pudo leer el archivo CSV',
+    'import.confirm': { one: '¿Crear {count} cuenta?', other: '¿Crear {count} cuentas?' },
+    'import.done': { one: 'Se importó {count} cuenta.', other: 'Se importaron {count} cuentas.' },
+    'import.failed': 'La importación falló',
+    'import.heading': 'Importar usuarios desde CSV',
+    'import.help': 'Requiere las columnas email y name; gradYear, department, company, title, city y skills son opcionales. Los miembros importados eligen su contraseña con un enlace por correo: usa Enviar enlace de acceso en la lista de usuarios, o ellos usan ¿Olvidaste tu contraseña? en la página de acceso.',
+    'import.file': 'Archivo CSV',
+    'import.apply': 'Importar',
+    'import.template': 'Plantilla',
+
+    'form.emailRequired': 'El correo es obligatorio',
+    'form.emailInvalid': 'Introduce un correo válido',
+    'form.nameRequired': 'El nombre es obligatorio',
+    'form.gradYearInvalid': 'Introduce un año de graduación de 4 cifras',
+    'form.tooLong': 'El mensaje debe tener menos de {max} caracteres',
+    'form.unknownAction': 'Acción desconocida',
+    'form.loginFirst': 'Inicia sesión primero',
+    'form.passwordRequired': 'La contraseña es obligatoria',
+    'form.confirmRequired': 'Confirma tu contraseña',
+    'form.unexpected': 'Se produjo un error inesperado',
+
+    'log.modified': 'La entrada n.º {seq} fue modificada',
+    'log.hashMismatch': 'La entrada n.º {seq} no coincide con el hash guardado en la n.º {next}',
+    'log.gap': 'Faltan entradas entre la n.º {from} y la n.º {to}',
+    'log.headRemoved': 'Se eliminaron las entradas más recientes (posteriores a la n.º {seq})',
+    'log.tailRemoved': 'Se eliminaron entradas anteriores a la n.º {seq} fuera de la política de retención',
+    'log.allRemoved': { one: 'Se eliminó la única entrada', other: 'Se eliminaron las {count} entradas' },
+    'log.retentionNumber': 'Introduce 0 o un número positivo',
+    'log.retentionMin': 'Conserva al menos 50 entradas (o 0 para no limitar)',
+    'log.retentionPermission': 'No tienes permiso para cambiar la retención del registro',
+    'log.allTypes': 'Todos los tipos',
+    'log.count': { one: '{shown} de {count} entrada', other: '{shown} de {count} entradas' },
+    'log.limited': '(se muestran las {limit} más recientes; exporta para verlas todas)',
+    'log.none': 'No hay entradas que coincidan.',
+    'log.intact': { one: 'Cadena íntegra: {count} entrada verificada.', other: 'Cadena íntegra: {count} entradas verificadas.' },
+    'log.problems': 'Se encontraron problemas de integridad:',
+    'log.verifyFailed': 'No se pudo verificar el registro',
+    'log.retentionFailed': 'No se pudo guardar la retención',
+    'log.noExportPermission': 'No tienes permiso para exportar la actividad',
+    'log.heading': 'Registro de actividad',
+    'log.actor': 'Autor',
+    'log.actorPlaceholder': 'el correo contiene...',
+    'log.type': 'Tipo',
+    'log.from': 'Desde',
+    'log.to': 'Hasta',
+    'log.export': 'Exportar filtrado (CSV)',
+    'log.verify': 'Verificar integridad',
+    'log.maxEntries': 'Conservar las entradas más recientes (0 = sin límite)',
+    'log.maxDays': 'Conservar durante días (0 = sin límite)',
+    'log.saveRetention': 'Guardar retención',
+
+    'backup.users': 'usuarios',
+    'backup.alumni': 'fichas del directorio',
+    'backup.ann': 'anuncios',
+    'backup.events': 'eventos',
+    'backup.messages': 'mensajes de contacto',
+    'backup.outbox': 'elementos de la bandeja de salida',
+    'backup.mentors': 'perfiles de mentor',
+    'backup.mentorships': 'solicitudes de mentoría',
+    'backup.jobs': 'ofertas de empleo',
+    'backup.noPermission': 'No tienes permiso para hacer copias de seguridad',
+    'backup.notJSON': 'El archivo no es un JSON válido',
+    'backup.wrongFormat': 'No es una copia de seguridad del Portal de Antiguos Alumnos',
+    'backup.badVersion': 'Versión de copia no admitida: {version}',
+    'backup.noData': 'La copia no tiene sección de datos',
+    'backup.checksum': 'La suma de comprobación no coincide: el archivo se modificó o está incompleto',
+    'backup.newerSchema': 'La copia procede de una versión más reciente del portal (esquema v{schema})',
+    'backup.malformed': 'Datos mal formados en {keys}',
+    'backup.chooseMode': 'Elige combinar o reemplazar',
+    'backup.olderSchema': 'Esta copia usa un formato de datos anterior (esquema v{schema}); restáurala en modo reemplazar para que pueda migrarse',
+    'backup.noAdmin': 'Los datos restaurados no tendrían ningún administrador activo',
+    'backup.noRestorePermission': 'No tienes permiso para restaurar los datos del portal',
+    'backup.failed': 'La copia de seguridad falló',
+    'backup.chooseFile': 'Elige primero un archivo de copia',
+    'backup.added': { one: '{count} añadido', other: '{count} añadidos' },
+    'backup.replaced': { one: '{count} reemplazado', other: '{count} reemplazados' },
+    'backup.removed': { one: '{count} eliminado', other: '{count} eliminados' },
+    'backup.previewHead': 'Copia del {date} hecha por {by} ({mode}). Todavía no se ha cambiado nada.',
+    'backup.unknown': 'desconocido',
+    'backup.mode.merge': 'combinar',
+    'backup.mode.replace': 'reemplazar',
+    'backup.noDifferences': 'No hay diferencias con los datos actuales.',
+    'backup.logsKept': 'El registro de actividad de este portal se conserva tal cual; las entradas del registro de la copia no se restauran.',
+    'backup.readFailed': 'No se pudo leer el archivo de copia',
+    'backup.confirmReplace': '¿Reemplazar TODOS los datos del portal por esta copia? Se perderá lo que no esté en ella.',
+    'backup.confirmMerge': '¿Combinar esta copia con los datos actuales?',
+    'backup.restored': 'Copia restaurada. La página se recargará.',
+    'backup.restoreFailed': 'La restauración falló',
+    'backup.heading': 'Copia de seguridad y restauración',
+    'backup.intro': 'Descarga todo lo que guarda el portal (cuentas, directorio, anuncios, eventos, actividad) en un único archivo JSON, o carga una copia hecha en este u otro equipo.',
+    'backup.download': 'Descargar copia',
+    'backup.file': 'Archivo de copia',
+    'backup.modeLabel': 'Modo de restauración',
+    'backup.modeMerge': 'Combinar con los datos actuales',
+    'backup.modeReplace': 'Reemplazar todos los datos actuales',
+    'backup.restore': 'Restaurar',
+
+    'events.notFound': 'Evento no encontrado',
+    'events.wasCancelled': 'Este evento se canceló',
+    'events.isPast': 'Este evento ya se celebró',
+    'events.titleRequired': 'Escribe el título del evento',
+    'events.badStart': 'Introduce una fecha de inicio válida',
+    'events.badEnd': 'El final debe ser posterior al inicio',
+    'events.badCapacity': 'El aforo no puede ser negativo',
+    'events.noPermission': 'No tienes permiso para gestionar eventos',
+    'events.goingOf': { one: '{count} / {capacity} asistirá', other: '{count} / {capacity} asistirán' },
+    'events.going': { one: '{count} asistirá', other: '{count} asistirán' },
+    'events.waitlisted': { one: '{count} en lista de espera', other: '{count} en lista de espera' },
+    'events.addToCalendar': 'Añadir al calendario',
+    'events.loginToRsvp': 'Inicia sesión para confirmar asistencia',
+    'events.cancelRsvp': 'Cancelar asistencia',
+    'events.joinWaitlist': 'Apuntarse a la lista de espera',
+    'events.rsvp': 'Asistiré',
+    'events.cancelled': 'Cancelado',
+    'events.youreGoing': 'Asistirás',
+    'events.waitlistPos': 'Lista de espera n.º {pos}',
+    'events.noneUpcoming': 'No hay próximos eventos por ahora. Vuelve pronto.',
+    'events.nonePast': 'Todavía no hay eventos pasados.',
+    'events.none': 'Todavía no hay eventos.',
+    'events.past': 'Pasado',
+    'events.upcoming': 'Próximo',
+    'events.restore': 'Restaurar',
+    'events.cancel': 'Cancelar',
+    'events.attendeesCsv': 'CSV de asistentes',
+    'events.new': 'Nuevo evento',
+    'events.edit': 'Editar evento',
+    'events.saveFailed': 'No se pudo guardar el evento',
+    'events.confirmCancel': '¿Cancelar "{title}"? Los asistentes conservan su confirmación si lo restauras más tarde.',
+    'events.noExportPermission': 'No tienes permiso para exportar asistentes',
+    'events.heading': 'Próximos eventos de exalumnos',
+    'events.find': 'Encuentra tu evento',
+    'events.search': 'Buscar eventos...',
+    'events.pastHeading': 'Eventos pasados',
+    'events.title': 'Título',
+    'events.starts': 'Empieza',
+    'events.ends': 'Termina',
+    'events.capacity': 'Aforo (0 = ilimitado)',
+    'events.save': 'Guardar evento',
+
+    'mentor.status.pending': 'Pendiente',
+    'mentor.status.accepted': 'Activa',
+    'mentor.status.declined': 'Rechazada',
+    'mentor.status.withdrawn': 'Retirada',
+    'mentor.status.ended': 'Finalizada',
+    'mentor.expertiseRequired': 'Indica al menos un área de especialidad',
+    'mentor.badCapacity': 'La capacidad debe estar entre 1 y {max}',
+    'mentor.reasonField': 'Mismo campo: {field}',
+    'mentor.reasonCompany': 'También en {company}',
+    'mentor.reasonSkills': 'Habilidades: {skills}',
+    'mentor.loginRequired': 'Inicia sesión para pedir una mentoría',
+    'mentor.notYourself': 'No puedes ser tu propio mentor',
+    'mentor.notTaking': 'Este mentor no acepta solicitudes',
+    'mentor.alreadyOpen': 'Ya tienes una solicitud abierta con este mentor',
+    'mentor.full': 'Este mentor no tiene plazas libres ahora mismo',
+    'mentor.tooManyPending': { one: 'Tienes {count} solicitud pendiente de respuesta. Retírala primero.', other: 'Tienes {count} solicitudes pendientes de respuesta. Retira una primero.' },
+    'mentor.requestNotFound': 'Solicitud no encontrada',
+    'mentor.notYours': 'No puedes modificar esta solicitud',
+    'mentor.alreadyState': 'Esta solicitud ya está: {status}',
+    'mentor.atCapacity': 'Has llegado a tu capacidad. Auméntala o finaliza antes una mentoría.',
+    'mentor.titleAt': '{title} en {company}',
+    'mentor.noPlaces': 'Sin plazas libres',
+    'mentor.request': 'Solicitar',
+    'mentor.noOverlap': 'Nada en común con tu perfil',
+    'mentor.load': { one: '{load}/{count} mentorizado', other: '{load}/{count} mentorizados' },
+    'mentor.noneFound': 'Todavía no hay mentores.',
+    'mentor.withdraw': 'Retirar',
+    'mentor.end': 'Finalizar',
+    'mentor.accept': 'Aceptar',
+    'mentor.decline': 'Rechazar',
+    'mentor.noneOutgoing': 'Todavía no has pedido ningún mentor.',
+    'mentor.noneIncoming': 'Todavía no hay solicitudes.',
+    'mentor.saved': 'Perfil de mentor guardado.',
+    'mentor.saveFailed': 'No se pudo guardar el perfil de mentor',
+    'mentor.requestSent': 'Solicitud enviada.',
+    'mentor.summaryMentors': { one: '{count} mentor', other: '{count} mentores' },
+    'mentor.summaryActive': { one: '{count} pareja activa', other: '{count} parejas activas' },
+    'mentor.summaryPending': { one: '{count} solicitud pendiente', other: '{count} solicitudes pendientes' },
+    'mentor.since': 'desde el {date}',
+    'mentor.noPairings': 'No hay parejas activas.',
+    'mentor.noExportPermission': 'No tienes permiso para exportar mentorías',
+    'mentor.find': 'Encuentra un mentor',
+    'mentor.intro': 'Las sugerencias se ordenan según tu área, empresa y habilidades.',
+    'mentor.introLink': 'Mantén tu perfil al día para obtener mejores coincidencias.',
+    'mentor.search': 'Buscar mentores',
+    'mentor.searchPlaceholder': 'Busca por nombre, especialidad o empresa',
+    'mentor.messageTo': 'Mensaje para',
+    'mentor.requestPlaceholder': '¿Con qué te gustaría recibir ayuda?',
+    'mentor.send': 'Enviar solicitud',
+    'mentor.myRequests': 'Mis solicitudes',
+    'mentor.be': 'Sé mentor',
+    'mentor.open': 'Acepto ser mentor de otros miembros',
+    'mentor.expertise': 'Áreas de especialidad (separadas por comas)',
+    'mentor.expertisePlaceholder': 'p. ej. cambio de carrera, ciencia de datos, entrevistas',
+    'mentor.capacity': 'Cuántos mentorados a la vez',
+    'mentor.bio': 'Cómo puedes ayudar',
+    'mentor.toMe': 'Solicitudes recibidas',
+    'mentor.exportPairings': 'Exportar parejas (CSV)',
+
+    'jobs.status.pending': 'Pendiente de aprobación',
+    'jobs.status.approved': 'Aprobada',
+    'jobs.status.rejected': 'Rechazada',
+    'jobs.status.closed': 'Cerrada',
+    'jobs.loginRequired': 'Inicia sesión para publicar una oferta',
+    'jobs.titleRequired': 'Escribe el puesto',
+    'jobs.companyRequired': 'Escribe la empresa',
+    'jobs.locationRequired': 'Indica una ubicación o marca la oferta como remota',
+    'jobs.descriptionTooLong': 'La descripción debe tener menos de {max} caracteres',
+    'jobs.badLink': 'El enlace para postularse debe empezar por https:// o mailto:',
+    'jobs.expiryRequired': 'Indica una fecha de caducidad',
+    'jobs.expiryPast': 'La fecha de caducidad debe ser futura',
+    'jobs.expiryTooFar': { one: 'Las ofertas pueden durar como máximo {count} día', other: 'Las ofertas pueden durar como máximo {count} días' },
+    'jobs.noPermission': 'No tienes permiso para aprobar ofertas de empleo',
+    'jobs.notFound': 'Oferta no encontrada',
+    'jobs.alreadyState': 'Esta oferta ya estaba: {status}',
+    'jobs.posterOnly': 'Solo quien la publicó puede cerrar esta oferta',
+    'jobs.alreadyClosed': 'Esta oferta ya está cerrada',
+    'jobs.notOpen': 'Esta oferta ya no está abierta',
+    'jobs.ownPosting': 'Tú publicaste esta oferta',
+    'jobs.remote': 'Remoto',
+    'jobs.close': 'Cerrar',
+    'jobs.howToApply': 'Cómo postularse',
+    'jobs.appliedUndo': 'Me postulé (deshacer)',
+    'jobs.iApplied': 'Me postulé',
+    'jobs.until': 'hasta el {date}',
+    'jobs.live': 'Publicada',
+    'jobs.expired': 'Caducada',
+    'jobs.postedBy': 'publicada por {name}',
+    'jobs.appliedCount': { one: '{count} miembro se postuló', other: '{count} miembros se postularon' },
+    'jobs.allLocations': 'Todas las ubicaciones',
+    'jobs.count': { one: '{shown} de {count} oferta', other: '{shown} de {count} ofertas' },
+    'jobs.noneMatch': 'Ninguna oferta coincide ahora mismo.',
+    'jobs.noneMine': 'Todavía no has publicado ofertas.',
+    'jobs.submitted': '¡Gracias! Tu oferta se publicará cuando un administrador la apruebe.',
+    'jobs.postFailed': 'No se pudo publicar la oferta',
+    'jobs.confirmClose': '¿Cerrar esta oferta?',
+    'jobs.waitingCount': { one: '{count} pendiente de aprobación', other: '{count} pendientes de aprobación' },
+    'jobs.approve': 'Aprobar',
+    'jobs.reject': 'Rechazar',
+    'jobs.takeDown': 'Retirar',
+    'jobs.by': 'de {email}',
+    'jobs.waiting': 'pendiente',
+    'jobs.liveApplied': { one: 'publicada, {count} postulación', other: 'publicada, {count} postulaciones' },
+    'jobs.noneAdmin': 'No hay ofertas pendientes ni publicadas.',
+    'jobs.confirmTakeDown': '¿Retirar esta oferta?',
+    'jobs.board': 'Bolsa de empleo',
+    'jobs.intro': 'Ofertas compartidas por otros exalumnos. Desaparecen después de su fecha de caducidad.',
+    'jobs.search': 'Buscar empleos',
+    'jobs.searchPlaceholder': 'Busca por puesto, empresa o descripción',
+    'jobs.remoteOnly': 'Solo remoto',
+    'jobs.postHeading': 'Publicar una oferta',
+    'jobs.remoteFriendly': 'Admite trabajo remoto',
+    'jobs.expires': 'Caduca el (como máximo dentro de 90 días)',
+    'jobs.applyUrl': 'Enlace o correo para postularse (opcional)',
+    'jobs.description': 'Descripción',
+    'jobs.submit': 'Enviar para aprobación',
+    'jobs.mine': 'Mis ofertas',
+    'jobs.adminHeading': 'Ofertas de empleo',
+
+    'analytics.active': { one: 'Activos (último día)', other: 'Activos (últimos {count} días)' },
+    'analytics.dormant': 'Inactivos',
+    'analytics.never': 'Nunca han entrado',
+    'analytics.registrations': 'Registros a lo largo del tiempo',
+    'analytics.members': 'Miembros',
+    'analytics.activity': 'Miembros activos frente a inactivos',
+    'analytics.logins': 'Inicios de sesión por periodo',
+    'analytics.enabled': 'Activas',
+    'analytics.disabled': 'Desactivadas',
+    'analytics.accounts': 'Cuentas activas y desactivadas',
+    'analytics.heading': 'Analíticas',
+    'analytics.range': 'Periodo',
+    'analytics.range30': 'Últimos 30 días',
+    'analytics.range90': 'Últimos 90 días',
+    'analytics.range365': 'Últimos 12 meses',
+    'analytics.rangeAll': 'Todo el tiempo',
+    'analytics.registrationsHead': 'Registros',
+    'analytics.loginsHead': 'Inicios de sesión',
+    'analytics.loginsNote': 'Según el registro de actividad conservado.',
+    'analytics.activityHead': 'Miembros activos e inactivos',
+    'analytics.activityNote': 'Solo cuentas habilitadas; el periodo no se aplica.',
+    'analytics.accountsHead': 'Cuentas por rol',
+    'analytics.noExportPermission': 'No tienes permiso para exportar las analíticas',
+
+    'auth.noAccount': 'No existe esa cuenta. Regístrate primero.',
+    'auth.disabled': 'Cuenta desactivada. Contacta con el administrador.',
+    'auth.mustSetPassword': 'Esta cuenta aún no tiene contraseña. Usa "¿Olvidaste tu contraseña?" con este correo para recibir un enlace y elegir una.',
+    'auth.locked': { one: 'Demasiados intentos fallidos. Vuelve a intentarlo en {count} minuto.', other: 'Demasiados intentos fallidos. Vuelve a intentarlo en {count} minutos.' },
+    'auth.invalidData': 'Datos de cuenta no válidos',
+    'auth.wrongPassword': 'Contraseña incorrecta',
+    'auth.passwordJustChanged': 'Tu contraseña acaba de cambiar. Vuelve a iniciar sesión.',
+    'auth.unverified': 'Confirma primero tu correo. Te enviamos un enlace al registrarte.',
+
+    'role.admin': 'Administrador',
+    'role.moderator': 'Moderador',
+    'role.organizer': 'Organizador de eventos',
+    'role.classrep': 'Delegado de clase',
+    'role.member': 'Miembro',
+    'role.unknown': 'Rol desconocido',
+    'role.noPermission': 'No tienes permiso para asignar roles',
+    'role.lastAdmin': 'No se puede quitar al último administrador',
+
+    'users.noTogglePermission': 'No tienes permiso para activar o desactivar cuentas',
+    'users.adminsOnly': 'Solo los administradores pueden desactivar cuentas de administrador',
+    'users.lastAdmin': 'No se puede desactivar al último administrador',
+    'users.noExportPermission': 'No tienes permiso para exportar usuarios',
+    'users.heading': 'Usuarios',
+    'users.export': 'Exportar usuarios (CSV)',
+
+    'db.conflict': 'No se pudo guardar {key}: cambiaba continuamente en otra ventana. Inténtalo de nuevo.',
+
+    'common.all': 'Todos',
+    'common.edit': 'Editar',
+    'common.delete': 'Eliminar',
+    'common.exportFailed': 'La exportación falló',
+    'common.saveChanges': 'Guardar cambios',
+    'common.save': 'Guardar',
+    'common.preview': 'Vista previa',
+
+    'dir.batch': 'Promoción {year}',
+    'dir.none': 'Ningún exalumno coincide con estos filtros.',
+    'dir.count': { one: '{count} exalumno', other: '{count} exalumnos' },
+    'dir.prev': 'Anterior',
+    'dir.next': 'Siguiente',
+    'dir.page': 'Página {page} de {pages}',
+    'dir.heading': 'Conoce a nuestros exalumnos',
+    'dir.search': 'Buscar exalumnos',
+    'dir.searchPlaceholder': 'Busca por nombre, empresa, ciudad o habilidad...',
+    'dir.batchLabel': 'Promoción',
+    'dir.allBatches': 'Todas las promociones',
+    'dir.allDepartments': 'Todos los departamentos',
+    'dir.company': 'Empresa',
+    'dir.allCompanies': 'Todas las empresas',
+    'dir.location': 'Ubicación',
+    'dir.sortBy': 'Ordenar por',
+    'dir.sort.name': 'Nombre A–Z',
+    'dir.sort.nameDesc': 'Nombre Z–A',
+    'dir.sort.batchNew': 'Promoción más reciente',
+    'dir.sort.batchOld': 'Promoción más antigua',
+    'dir.clear': 'Limpiar',
+
+    'login.title': 'Iniciar sesión',
+    'login.signUp': 'Registrarse',
+    'login.register': 'Crear cuenta',
+    'login.fullName': 'Nombre completo',
+    'login.gradYear': 'Año de graduación',
+    'login.department': 'Departamento',
+    'login.confirmPassword': 'Confirmar contraseña',
+    'login.haveAccount': '¿Ya tienes cuenta? Inicia sesión',
+    'login.noAccount': '¿No tienes cuenta? Regístrate',
+    'login.userExists': 'El usuario ya existe',
+    'login.setupSent': 'La oficina de exalumnos añadió este correo. Le enviamos un enlace para elegir tu contraseña.',
+    'login.verifySent': '¡Casi listo! Enviamos un enlace de confirmación a {email}. Ábrelo y luego inicia sesión.',
+    'login.verifyFailed': 'Tu cuenta se creó, pero no se pudo enviar el correo de confirmación. Usa "Reenviar correo de confirmación" tras intentar iniciar sesión.',
+    'login.forgot': '¿Olvidaste tu contraseña?',
+    'login.resend': 'Reenviar correo de confirmación',
+    'login.formLabel': 'Formulario de inicio de sesión o registro',
+    'login.email': 'Correo electrónico',
+    'login.password': 'Contraseña',
+    'login.showPassword': 'Mostrar contraseña',
+    'login.adminHint': 'O entra como administrador en el',
+    'login.adminLink': 'Panel de administración',
+
+    'profile.title': 'Mi perfil',
+    'profile.loginPrompt': 'Inicia sesión para ver tu perfil.',
+    'profile.forceChange': 'Por seguridad, elige una contraseña nueva antes de continuar.',
+    'profile.photoType': 'Elige un archivo de imagen',
+    'profile.photoSize': 'La foto debe ocupar menos de {size} KB',
+    'profile.saved': 'Perfil guardado.',
+    'profile.saveFailed': 'No se pudo guardar el perfil',
+    'profile.photoUrl': 'URL de la foto',
+    'profile.uploadPhoto': 'Subir foto',
+    'profile.removePhoto': 'Quitar foto',
+    'profile.displayName': 'Nombre visible',
+    'profile.bio': 'Biografía',
+    'profile.bioPlaceholder': 'Unas líneas sobre ti',
+    'profile.gradYearPlaceholder': 'p. ej. 2016',
+    'profile.jobTitle': 'Puesto',
+    'profile.city': 'Ciudad',
+    'profile.skills': 'Habilidades (separadas por comas)',
+    'profile.visible': 'Mostrarme en el directorio de exalumnos',
+    'profile.save': 'Guardar perfil',
+    'profile.photoInvalid': 'La foto debe ser un enlace https:// o una imagen subida',
+
+    'admin.role': 'Rol',
+    'admin.enable': 'Activar',
+    'admin.disable': 'Desactivar',
+    'admin.passwordNotSet': 'sin contraseña',
+    'admin.lastLogin': 'Último acceso: {date}',
+    'admin.never': 'Nunca',
+    'admin.created': 'Creada: {date}',
+    'admin.enterCredentials': 'Introduce las credenciales de administrador',
+    'admin.notFound': 'Administrador no encontrado',
+    'admin.wrongPassword': 'Contraseña de administrador incorrecta',
+    'admin.loginFailed': 'No se pudo iniciar sesión como administrador',
+    'admin.loginHeading': 'Acceso de administración',
+    'admin.signIn': 'Entrar como administrador',
+    'admin.defaultLabel': 'Predeterminado:',
+    'admin.defaultHint': '(se te pedirá cambiarla en el primer acceso)',
+    'admin.intro': 'Gestiona usuarios y anuncios y exporta la actividad.',
+    'admin.signedInAs': 'Sesión iniciada como:',
+    'admin.totalUsers': 'Usuarios en total',
+    'admin.populateDemo': 'Cargar demo',
+    'admin.demoAdded': 'Usuarios de demostración añadidos: {users}',
+    'admin.demoFailed': 'No se pudo cargar la demo',
+    'admin.unverified': 'correo sin confirmar',
+    'admin.sendSetup': 'Enviar enlace de acceso',
+    'admin.setupSent': 'Enlace de acceso enviado a {email}.',
+    'admin.setupNotNeeded': 'Esta cuenta ya tiene contraseña.',
+
+    'footer.rights': '© 2025 Alumni Portal. Todos los derechos reservados.',
+
+    'page.profile': 'Alumni Portal - Mi perfil',
+    'page.mentorship': 'Alumni Portal - Mentoría',
+    'page.jobs': 'Alumni Portal - Empleos',
+    'page.contact': 'Alumni Portal - Contacto',
+    'page.index': 'Alumni Portal - Inicio',
+    'page.login': 'Alumni Portal - Iniciar sesión',
+    'page.admin': 'Alumni Portal - Administración',
+    'page.events': 'Alumni Portal - Eventos',
+    'page.alumni': 'Alumni Portal - Exalumnos',
+
+    'home.welcome': 'Bienvenido al Alumni Portal',
+    'home.tagline': 'Reencuéntrate con tus compañeros, consulta los anuncios y sigue los eventos de la universidad.',
+    'home.latest': 'Últimos anuncios',
+
+    'mail.failed': 'No se pudo enviar el correo. Inténtalo más tarde.',
+    'mail.verify.subject': 'Confirma tu correo de Alumni Portal',
+    'mail.verify.body': { one: 'Hola, {name}:\n\nConfirma esta dirección para terminar de configurar tu cuenta de Alumni Portal:\n{link}\n\nEl enlace funciona una sola vez y caduca en {count} hora. Si no te registraste, ignora este correo.', other: 'Hola, {name}:\n\nConfirma esta dirección para terminar de configurar tu cuenta de Alumni Portal:\n{link}\n\nEl enlace funciona una sola vez y caduca en {count} horas. Si no te registraste, ignora este correo.' },
+    'mail.reset.subject': 'Restablece tu contraseña de Alumni Portal',
+    'mail.reset.body': { one: 'Hola, {name}:\n\nAlguien pidió restablecer la contraseña de {email}. Elige una nueva aquí:\n{link}\n\nEl enlace funciona una sola vez y caduca en {count} minuto. Si no fuiste tú, ignora este correo; tu contraseña no cambia.', other: 'Hola, {name}:\n\nAlguien pidió restablecer la contraseña de {email}. Elige una nueva aquí:\n{link}\n\nEl enlace funciona una sola vez y caduca en {count} minutos. Si no fuiste tú, ignora este correo; tu contraseña no cambia.' },
+    'mail.setup.subject': 'Configura tu cuenta de Alumni Portal',
+    'mail.setup.body': { one: 'Hola, {name}:\n\nLa oficina de exalumnos creó una cuenta de Alumni Portal para {email}. Elige tu contraseña aquí:\n{link}\n\nEl enlace funciona una sola vez y caduca en {count} hora.', other: 'Hola, {name}:\n\nLa oficina de exalumnos creó una cuenta de Alumni Portal para {email}. Elige tu contraseña aquí:\n{link}\n\nEl enlace funciona una sola vez y caduca en {count} horas.' },
+    'mail.heading': 'Correo saliente',
+    'mail.intro': 'Correos enviados por el portal (confirmación de cuenta, restablecer contraseña). Sin servidor de correo se quedan aquí: si hace falta, copia el enlace al miembro.',
+    'mail.none': 'Aún no hay correos.',
+
+    'token.tooSoon': 'Acabamos de enviar un enlace. Revisa tu bandeja o inténtalo dentro de un minuto.',
+    'token.invalid': 'Este enlace no es válido o ya se ha usado.',
+    'token.expired': 'Este enlace ha caducado. Pide uno nuevo.',
+
+    'reset.title': 'Elige una contraseña nueva',
+    'reset.save': 'Guardar contraseña',
+    'reset.sent': 'Si existe una cuenta con ese correo, le enviamos un enlace para restablecer la contraseña.',
+    'reset.done': 'Contraseña guardada. Ya puedes iniciar sesión.',
+
+    'verify.done': 'Correo confirmado. Ya puedes iniciar sesión.',
+    'verify.resent': 'Si esta cuenta aún necesita confirmación, te enviamos un enlace nuevo.'
+  }
+};
+var activeLocale = null;
+function currentLocale() {
+  if (activeLocale) return activeLocale;
+  var saved = null;
+  try { saved = localStorage.getItem(LOCALE_KEY); } catch (e) {}
+  var browser = String((window.navigator && navigator.language) || '').slice(0, 2).toLowerCase();
+  activeLocale = I18N[saved] ? saved : (I18N[browser] ? browser : DEFAULT_LOCALE);
+  return activeLocale;
+}
+function setLocale(locale) {
+  if (!I18N[locale]) return;
+  activeLocale = locale;
+  try { localStorage.setItem(LOCALE_KEY, locale); } catch (e) { console.error('setLocale failed', e); }
+}
+var pluralRules = {};
+function pluralForm(locale, count) {
+  try {
+    if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+    return pluralRules[locale].select(Number(count) || 0);
+  } catch (e) { return Number(count) === 1 ? 'one' : 'other'; }
+}
+function t(key, params) {
+  var locale = currentLocale();
+  var msg = I18N[locale][key];
+  if (msg === undefined) { locale = DEFAULT_LOCALE; msg = I18N[DEFAULT_LOCALE][key]; }
+  if (msg === undefined) return key;
+  if (msg && typeof msg === 'object') { var form = pluralForm(locale, params && params.count); msg = msg[form] !== undefined ? msg[form] : msg.other; }
+  return String(msg).replace(/\{(\w+)\}/g, function (m, name) { return params && params[name] !== undefined && params[name] !== null ? String(params[name]) : m; });
+}
+var DATE_FORMATS = {
+  datetime: { dateStyle: 'medium', timeStyle: 'short' },
+  date: { dateStyle: 'medium' },
+  month: { month: 'short' },
+  day: { day: 'numeric', month: 'short' },
+  monthYear: { month: 'short', year: 'numeric' }
+};
+// value: Date, ISO string or timestamp; style: a DATE_FORMATS key (default datetime)
+function formatDate(value, style) {
+  var d = value instanceof Date ? value : new Date(value);
+  if (isNaN(d.getTime())) return '';
+  try { return new Intl.DateTimeFormat(currentLocale(), DATE_FORMATS[style] || DATE_FORMATS.datetime).format(d); } catch (e) { return d.toLocaleString(); }
+}
+// Static page text: data-i18n="key" sets an element's text, data-i18n-placeholder / -title / -aria-label
+// set that attribute. Elements with data-i18n must only hold text (wrap it in a span next to inputs).
+function translatePage(root) {
+  try {
+    document.documentElement.lang = currentLocale();
+    $$('[data-i18n], [data-i18n-placeholder], [data-i18n-title], [data-i18n-aria-label]').forEach(function(el){
+      if (root && !root.contains(el)) return;
+      if (el.hasAttribute('data-i18n')) el.textContent = t(el.getAttribute('data-i18n'));
+      ['placeholder', 'title', 'aria-label'].forEach(function(attr){ var key = el.getAttribute('data-i18n-' + attr); if (key) el.setAttribute(attr, t(key)); });
+    });
+  } catch (e) { console.error('translatePage failed', e); }
+}
+
+/* ---------- Directory helpers ---------- */
+var DIRECTORY_PAGE_SIZE = 9;
+// URL param -> record field
+var DIRECTORY_FACETS = { batch: 'gradYear', dept: 'department', company: 'company', city: 'city' };
+var DIRECTORY_SORTS = {
+  'name': function (a, b) { return String(a.name||'').localeCompare(String(b.name||'')); },
+  'name-desc': function (a, b) { return String(b.name||'').localeCompare(String(a.name||'')); },
+  'batch-new': function (a, b) { return ((Number(b.gradYear)||0) - (Number(a.gradYear)||0)) || DIRECTORY_SORTS.name(a, b); },
+  'batch-old': function (a, b) { return ((Number(a.gradYear)||9999) - (Number(b.gradYear)||9999)) || DIRECTORY_SORTS.name(a, b); },
+  'company': function (a, b) { return String(a.company||'').localeCompare(String(b.company||'')) || DIRECTORY_SORTS.name(a, b); }
+};
+async function directoryEntries() {
+  var users = await DB.getUsers();
+  return (await DB.getAlumni()).filter(function(a){
+    if (!a || a.visible === false) return false;
+    var u = findUser(users, a.email);
+    // Sign Up writes the directory record straight away; it stays hidden until the email is confirmed
+    return !(u && (u.disabled || u.emailVerified === false));
+  });
+}
+function facetValues(list, field) {
+  var seen = {};
+  list.forEach(function(a){ var v = a[field]; if (v !== undefined && v !== null && String(v) !== '') seen[String(v)] = true; });
+  return Object.keys(seen).sort(function(x, y){ return x.localeCompare(y, undefined, { numeric: true }); });
+}
+function parseDirectoryQuery(search) {
+  var p = new URLSearchParams(search || '');
+  var page = parseInt(p.get('page'), 10);
+  var state = { q: p.get('q') || '', sort: DIRECTORY_SORTS[p.get('sort')] ? p.get('sort') : 'name', page: page > 0 ? page : 1 };
+  Object.keys(DIRECTORY_FACETS).forEach(function(k){ state[k] = p.get(k) || ''; });
+  return state;
+}
+function buildDirectoryQuery(state) {
+  var p = new URLSearchParams();
+  if (state.q) p.set('q', state.q);
+  Object.keys(DIRECTORY_FACETS).forEach(function(k){ if (state[k]) p.set(k, state[k]); });
+  if (state.sort && state.sort !== 'name') p.set('sort', state.sort);
+  if (state.page > 1) p.set('page', String(state.page));
+  var s = p.toString();
+  return s ? '?' + s : '';
+}
+function filterAlumni(list, state) {
+  var term = (state.q || '').trim().toLowerCase();
+  return list.filter(function(a){
+    for (var k in DIRECTORY_FACETS) {
+      var v = a[DIRECTORY_FACETS[k]];
+      if (state[k] && String(v === null || v === undefined ? '' : v) !== state[k]) return false;
+    }
+    if (!term) return true;
+    var hay = [a.name, a.title, a.company, a.city, a.department, a.gradYear, (a.skills || []).join(' ')].join(' ').toLowerCase();
+    return hay.indexOf(term) >= 0;
+  });
+}
+function sortAlumni(list, key) { return list.slice().sort(DIRECTORY_SORTS[key] || DIRECTORY_SORTS.name); }
+function paginate(list, page, size) {
+  var pages = Math.max(1, Math.ceil(list.length / size));
+  var p = Math.min(Math.max(1, page || 1), pages);
+  return { items: list.slice((p-1)*size, p*size), page: p, pages: pages, total: list.length };
+}
+
+/* ---------- Safe rich text ---------- */
+// Announcements use a small Markdown subset: # / ## headings, **bold**, *italic*, `code`,
+// [text](https://...), "- " and "1. " lists. Input is escaped first, then the result is run
+// through sanitizeHTML, so no markup typed by a poster ever reaches the page as-is.
+var RICH_TEXT_TAGS = ['p', 'br', 'strong', 'em', 'code', 'ul', 'ol', 'li', 'a', 'h3', 'h4'];
+// http(s):, mailto: or a relative page of this site ("events.html", "docs/faq.html?x=1"); "//host/..."
+// would leave the site while looking local, so relative paths must start with a plain name
+function safeUrl(url) {
+  url = String(url || '').trim();
+  return /^(https?:|mailto:)/i.test(url) || /^[\w\-]+(\/[\w\-.]+)*\.html([?#][^\s"'<>]*)?$/i.test(url) ? url : '';
+}
+function inlineMarkdown(text) {
+  // code spans and link tags are set aside as \u0000n\u0000 placeholders before the emphasis pass,
+  // so a * inside `code` or inside a URL is never turned into <em>
+  var held = [];
+  function hold(html) { held.push(html); return '\u0000' + (held.length - 1) + '\u0000'; }
+  return text.replace(/\u0000/g, '')
+    .replace(/`([^`]+)`/g, function (m, code) { return hold('<code>' + code + '</code>'); })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, function (m, label, url) {
+      var href = safeUrl(url.replace(/&amp;/g, '&'));
+      return href ? hold('<a href="' + escapeHTML(href) + '">') + label + hold('</a>') : label;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, function (m, i) { return held[i]; });
+}
+function markdownToHTML(src) {
+  var lines = escapeHTML(String(src || '').replace(/\r\n?/g, '\n')).split('\n');
+  var out = []; var para = []; var list = null;
+  function flush() {
+    if (para.length) { out.push('<p>' + para.map(inlineMarkdown).join('<br>') + '</p>'); para = []; }
+    if (list) { out.push('<' + list.tag + '>' + list.items.map(function(i){ return '<li>' + inlineMarkdown(i) + '</li>'; }).join('') + '</' + list.tag + '>'); list = null; }
+  }
+  lines.forEach(function(line){
+    var m;
+    if (!line.trim()) { flush(); return; }
+    if ((m = /^(#{1,2})\s+(.*)$/.exec(line))) { flush(); out.push(m[1].length === 1 ? '<h3>' + inlineMarkdown(m[2]) + '</h3>' : '<h4>' + inlineMarkdown(m[2]) + '</h4>'); return; }
+    var bullet = /^\s*[-*]\s+(.*)$/.exec(line); var numbered = /^\s*\d+[.)]\s+(.*)$/.exec(line);
+    if (bullet || numbered) {
+      var tag = bullet ? 'ul' : 'ol';
+      if (para.length || (list && list.tag !== tag)) flush();
+      if (!list) list = { tag: tag, items: [] };
+      list.items.push((bullet || numbered)[1]); return;
+    }
+    if (list) flush();
+    para.push(line);
+  });
+  flush();
+  return sanitizeHTML(out.join(''));
+}
+// allow-list sanitizer: unknown elements are unwrapped, every attribute except a checked href is dropped
+function sanitizeHTML(html) {
+  var tpl = document.createElement('template'); tpl.innerHTML = String(html || '');
+  (function clean(node) {
+    Array.from(node.childNodes).forEach(function(child){
+      if (child.nodeType === 3) return;
+      if (child.nodeType !== 1) { child.remove(); return; }
+      var tag = child.tagName.toLowerCase();
+      if (tag === 'script' || tag === 'style' || tag === 'template') { child.remove(); return; }
+      clean(child);
+      if (RICH_TEXT_TAGS.indexOf(tag) < 0) { while (child.firstChild) node.insertBefore(child.firstChild, child); child.remove(); return; }
+      var href = tag === 'a' ? safeUrl(child.getAttribute('href')) : '';
+      Array.from(child.attributes).forEach(function(attr){ child.removeAttribute(attr.name); });
+      if (href) { child.setAttribute('href', href); child.setAttribute('rel', 'noopener noreferrer'); if (/^https?:/i.test(href)) child.setAttribute('target', '_blank'); }
+    });
+  })(tpl.content);
+  return tpl.innerHTML;
+}
+
+/* ---------- Announcements helpers ---------- */
+function announcementState(a, now) {
+  now = now || Date.now();
+  if (a.publishAt && new Date(a.publishAt).getTime() > now) return 'scheduled';
+  if (a.expiresAt && new Date(a.expiresAt).getTime() <= now) return 'expired';
+  return 'live';
+}
+// pinned first, then newest publish date
+function sortAnnouncements(list) {
+  return list.slice().sort(function(a, b){ return (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || new Date(b.publishAt || b.timestamp) - new Date(a.publishAt || a.timestamp); });
+}
+function visibleAnnouncements(list, now) { return sortAnnouncements(list.filter(function(a){ return a && announcementState(a, now) === 'live'; })); }
+function findAnnouncement(list, id) { return list.find(function(a){ return a && a.id === id; }); }
+async function saveAnnouncement(fields, actor) {
+  var text = (fields.text || '').trim();
+  if (!text) return { ok: false, msg: t('ann.enterText') };
+  var publishAt = fields.publishAt ? new Date(fields.publishAt) : new Date();
+  if (isNaN(publishAt.getTime())) return { ok: false, msg: t('ann.badPublishDate') };
+  var expiresAt = fields.expiresAt ? new Date(fields.expiresAt) : null;
+  if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= publishAt)) return { ok: false, msg: t('ann.badExpiry') };
+  if (!await authorize('announcements.post', fields.id || '')) return { ok: false, msg: t('ann.noPostPermission') };
+  var ann; var before;
+  var newAnnId = fields.id ? null : newId('ann');
+  await DB.update('ap_ann', [], function (anns) {
+    before = null; ann = fields.id ? findAnnouncement(anns, fields.id) : null;
+    if (fields.id && !ann) return undefined;
+    if (!ann) { ann = { id: newAnnId, by: actor.name || actor.email, byEmail: actor.email, timestamp: new Date().toISOString() }; anns.unshift(ann); }
+    else { before = { text: ann.text, pinned: ann.pinned, publishAt: ann.publishAt, expiresAt: ann.expiresAt }; ann.updated = new Date().toISOString(); }
+    Object.assign(ann, { text: text, pinned: !!fields.pinned, publishAt: publishAt.toISOString(), expiresAt: expiresAt ? expiresAt.toISOString() : null });
+    return anns;
+  });
+  if (!ann) return { ok: false, msg: t('ann.notFound') };
+  await DB.logActivity({ type: fields.id ? 'announcement.update' : 'announcement.create', actor: actor.email, target: ann.id, action: (fields.id ? 'Edited announcement ' : 'Posted announcement ') + ann.id,
+    details: { before: before, after: { text: ann.text, pinned: ann.pinned, publishAt: ann.publishAt, expiresAt: ann.expiresAt } } });
+  return { ok: true, announcement: ann };
+}
+async function updateAnnouncement(id, change, actor) {
+  if (!await authorize('announcements.post', id)) return { ok: false, msg: t('ann.noManagePermission') };
+  var found; var removed;
+  await DB.update('ap_ann', [], function (anns) {
+    var i = anns.findIndex(function(a){ return a && a.id === id; });
+    found = i >= 0; removed = null;
+    if (!found) return undefined;
+    if (change === 'delete') removed = anns.splice(i, 1)[0];
+    else { anns[i].pinned = change === 'pin'; anns[i].updated = new Date().toISOString(); }
+    return anns;
+  });
+  if (!found) return { ok: false, msg: t('ann.notFound') };
+  await DB.logActivity({ type: 'announcement.' + change, actor: actor.email, target: id, action: ({ 'delete': 'Deleted', pin: 'Pinned', unpin: 'Unpinned' })[change] + ' announcement ' + id, details: removed ? { before: { text: removed.text } } : null });
+  return { ok: true };
+}
+
+/* ---------- Contact messages ---------- */
+var MESSAGE_STATUSES = { 'new': 'inbox.status.new', 'in-progress': 'inbox.status.inProgress', 'closed': 'inbox.status.closed' };   // status -> catalog key
+var CONTACT_WINDOW = 60 * 60 * 1000;       // rate limits count submissions in the last hour
+var CONTACT_LIMIT_PER_EMAIL = 3;
+var CONTACT_LIMIT_PER_BROWSER = 5;
+var CONTACT_MIN_FILL_MS = 3000;            // humans take longer than this to fill the form
+var CONTACT_SENT_KEY = 'ap_contact_sent';  // this browser's submission times; stays in localStorage
+// reasons a submission looks automated; any reason puts the message in the spam folder
+function spamSignals(fields, elapsedMs) {
+  var text = String(fields.message || ''); var reasons = [];
+  if (fields.honeypot) reasons.push('hidden field filled');
+  if (elapsedMs !== undefined && elapsedMs < CONTACT_MIN_FILL_MS) reasons.push('sent ' + Math.round(elapsedMs / 100) / 10 + 's after page load');
+  var links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 2) reasons.push(links + ' links');
+  var letters = text.replace(/[^A-Za-z]/g, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) reasons.push('mostly capitals');
+  if (/(.)\1{9,}/.test(text)) reasons.push('repeated characters');
+  if (/<a\s|\[url=/i.test(text)) reasons.push('link markup');
+  return reasons;
+}
+function browserContactTimes(now) {
+  var times = [];
+  try { times = JSON.parse(localStorage.getItem(CONTACT_SENT_KEY) || '[]'); } catch (e) {}
+  return times.filter(function(t){ return now - t < CONTACT_WINDOW; });
+}
+// { ok, msg } - persists the message; rate limits are checked per email and per browser
+async function submitContactMessage(fields, elapsedMs) {
+  var now = Date.now();
+  var sent = browserContactTimes(now);
+  if (sent.length >= CONTACT_LIMIT_PER_BROWSER) return { ok: false, msg: t('contact.browserLimit') };
+  var email = String(fields.email || '').trim(); var key = email.toLowerCase();
+  var reasons = spamSignals(fields, elapsedMs);
+  var limited; var msg = { id: newId('msg'), name: String(fields.name || '').trim(), email: email, message: String(fields.message || '').trim(), created: new Date(now).toISOString(),
+    status: 'new', spam: reasons.length > 0, spamReasons: reasons, assignee: '', notes: [] };
+  await DB.update('ap_messages', [], function (messages) {
+    var recent = messages.filter(function(m){ return String(m.email).toLowerCase() === key && now - new Date(m.created).getTime() < CONTACT_WINDOW; });
+    limited = recent.length >= CONTACT_LIMIT_PER_EMAIL;
+    if (limited) return undefined;
+    messages.unshift(msg);
+    return messages;
+  });
+  if (limited) return { ok: false, msg: t('contact.emailLimit') };
+  sent.push(now);
+  try { localStorage.setItem(CONTACT_SENT_KEY, JSON.stringify(sent)); } catch (e) {}
+  await DB.logActivity({ type: 'message.receive', actor: email, target: msg.id, action: 'Contact form sent' + (msg.spam ? ' (flagged as spam)' : ''), details: msg.spam ? { spamReasons: reasons } : null, timestamp: msg.created });
+  return { ok: true, id: msg.id };
+}
+function findMessage(list, id) { return list.find(function(m){ return m && m.id === id; }); }
+// filter.status: a MESSAGE_STATUSES key, 'spam' or '' (everything but spam); filter.q searches name, email, text and notes
+function searchMessages(list, filter) {
+  var q = String(filter.q || '').trim().toLowerCase();
+  return list.filter(function(m){
+    if (!m) return false;
+    if (filter.status === 'spam' ? !m.spam : (m.spam || (filter.status && m.status !== filter.status))) return false;
+    if (!q) return true;
+    var hay = [m.name, m.email, m.message, m.assignee].concat((m.notes || []).map(function(n){ return n.text; })).join(' ').toLowerCase();
+    return hay.indexOf(q) >= 0;
+  });
+}
+async function messageStaff() {
+  return (await DB.getUsers()).filter(function(u){ return u && !u.disabled && can(u.role, 'messages.manage'); });
+}
+// change: { status } | { assignee } | { note } | { spam }
+async function updateMessage(id, change, actor) {
+  if (!await authorize('messages.manage', id)) return { ok: false, msg: t('inbox.noPermission') };
+  if (change.status && !MESSAGE_STATUSES[change.status]) return { ok: false, msg: t('inbox.unknownStatus') };
+  if ('note' in change && !String(change.note || '').trim()) return { ok: false, msg: t('inbox.noteRequired') };
+  if (change.assignee && !(await messageStaff()).find(function(u){ return u.email === change.assignee; })) return { ok: false, msg: t('inbox.assignStaffOnly') };
+  var found; var action; var type; var details;
+  await DB.update('ap_messages', [], function (messages) {
+    found = findMessage(messages, id); action = ''; type = ''; details = null;
+    if (!found) return undefined;
+    if (change.status) { details = { before: { status: found.status }, after: { status: change.status } }; found.status = change.status; type = 'message.status'; action = 'Set message ' + id + ' to ' + change.status; }
+    else if ('assignee' in change) { details = { before: { assignee: found.assignee || '' }, after: { assignee: change.assignee || '' } }; found.assignee = change.assignee || ''; type = 'message.assign'; action = change.assignee ? 'Assigned message ' + id + ' to ' + change.assignee : 'Unassigned message ' + id; }
+    else if ('note' in change) { (found.notes = found.notes || []).push({ by: actor, at: new Date().toISOString(), text: String(change.note).trim() }); type = 'message.note'; action = 'Added note to message ' + id; }
+    else if ('spam' in change) { details = { before: { spam: !!found.spam }, after: { spam: !!change.spam } }; found.spam = !!change.spam; type = 'message.spam'; action = (found.spam ? 'Marked message ' : 'Unmarked spam on message ') + id; }
+    found.updated = new Date().toISOString();
+    return messages;
+  });
+  if (!found) return { ok: false, msg: t('inbox.notFound') };
+  await DB.logActivity({ type: type, actor: actor, target: id, action: action, details: details });
+  return { ok: true, message: found };
+}
+// Replies are not emailed from the browser; drafts and queued replies wait in the ap_outbox stand-in.
+async function saveReply(messageId, body, queue, actor) {
+  body = String(body || '').trim();
+  if (!body) return { ok: false, msg: t('inbox.replyRequired') };
+  if (!await authorize('messages.manage', messageId)) return { ok: false, msg: t('inbox.noPermission') };
+  var msg = findMessage(await DB.getMessages(), messageId);
+  if (!msg) return { ok: false, msg: t('inbox.notFound') };
+  var item; var newItemId = newId('out');
+  await DB.update('ap_outbox', [], function (outbox) {
+    item = outbox.find(function(o){ return o && o.messageId === messageId && o.status === 'draft'; });
+    if (!item) { item = { id: newItemId, messageId: messageId, to: msg.email, subject: 'Re: your message to the Alumni Portal', created: new Date().toISOString(), by: actor }; outbox.unshift(item); }
+    Object.assign(item, { body: body, status: queue ? 'queued' : 'draft', updated: new Date().toISOString() });
+    return outbox;
+  });
+  if (queue && msg.status === 'new') await updateMessage(messageId, { status: 'in-progress' }, actor);
+  await DB.logActivity({ type: queue ? 'message.reply_queued' : 'message.reply_draft', actor: actor, target: messageId, action: (queue ? 'Queued reply to ' : 'Saved reply draft for ') + 'message ' + messageId, details: { outboxId: item.id } });
+  return { ok: true, item: item };
+}
+
+/* ---------- Mail transports ---------- */
+// A transport is { name, send(mail) } where mail is { to, subject, text, kind } and send resolves
+// to an id for the message or throws. A browser can't deliver email by itself, so the default
+// "outbox" transport only files each message in ap_mail (newest first) for admins to read under
+// Admin > Mail outbox; that keeps the verification and reset flows working offline. Another
+// transport is picked per browser like the storage backend: window.AP_MAIL (set before script.js
+// loads) or the ap_mail_transport key, e.g. {"type":"http","url":"https://mail.example.org/send"}.
+var MAIL_KEY = 'ap_mail';
+var MAIL_TRANSPORT_KEY = 'ap_mail_transport';
+var MAIL_OUTBOX_MAX = 200;                 // older outbox messages are dropped
+function createOutboxTransport() {
+  return {
+    name: 'outbox',
+    send: async function (mail) {
+      var item = Object.assign({ id: newId('mail'), created: new Date().toISOString() }, mail);
+      await DB.update(MAIL_KEY, [], function (list) { list.unshift(item); return list.slice(0, MAIL_OUTBOX_MAX); });
+      return item.id;
+    }
+  };
+}
+// POSTs the message as JSON to a relay you run, which does the actual sending
+function createHttpMailTransport(url) {
+  return {
+    name: 'http',
+    send: async function (mail) {
+      var res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }, body: JSON.stringify(mail) });
+      if (!res.ok) throw new Error('POST ' + url + ' failed: HTTP ' + res.status);
+      var body = res.status === 204 ? null : await res.json().catch(function(){ return null; });
+      return (body && body.id) || '';
+    }
+  };
+}
+function mailConfig() {
+  if (window.AP_MAIL) return window.AP_MAIL;
+  try { return JSON.parse(localStorage.getItem(MAIL_TRANSPORT_KEY) || 'null') || { type: 'outbox' }; } catch (e) { return { type: 'outbox' }; }
+}
+function createMailTransport(config) {
+  config = config || {};
+  if (config.type === 'http' && config.url) return createHttpMailTransport(config.url);
+  return createOutboxTransport();
+}
+var Mail = {
+  transport: createMailTransport(mailConfig()),
+  use: function (transport) { Mail.transport = transport; },
+  // -> { ok, id } or { ok: false, msg }; the log records who was mailed, never the body (it holds a link)
+  send: async function (mail) {
+    var name = Mail.transport.name;
+    try {
+      var id = await Mail.transport.send(mail);
+      await DB.logActivity({ type: 'mail.send', actor: 'system', target: mail.to, action: 'Sent ' + mail.kind + ' email via ' + name, details: { kind: mail.kind, transport: name, id: id || '' } });
+      return { ok: true, id: id };
+    } catch (e) {
+      console.error('Mail.send failed', e);
+      await DB.logActivity({ type: 'mail.failed', actor: 'system', target: mail.to, action: 'Could not send ' + mail.kind + ' email via ' + name, details: { kind: mail.kind, transport: name, error: String(e && e.message || e) } });
+      return { ok: false, msg: t('mail.failed') };
+    }
+  },
+  getOutbox: function () { return DB.read(MAIL_KEY, []); }
+};
 
 /* ---------- CSV helpers ---------- */
 function arrayToCSV(rows, fields) {
@@ -85,7 +2052,7 @@ function arrayToCSV(rows, fields) {
     if (v === null || v === undefined) return '';
     var s = String(v);
     s = s.replace(/"/g, '""');
-    if (s.search(/("|,|\n)/g) >= 0) return '"' + s + '"';
+    if (s.search(/[",\r\n]/) >= 0) return '"' + s + '"';
     return s;
   }
   var header = fields.join(',');
@@ -98,13 +2065,1156 @@ function arrayToCSV(rows, fields) {
   }
   return out.join('\n');
 }
+// reads what arrayToCSV (or a spreadsheet) writes: quoted fields, "" escapes, commas and
+// newlines inside quotes, CRLF line ends. Returns an array of rows (arrays of strings).
+function parseCSV(text) {
+  text = String(text || '').replace(/^\uFEFF/, '');
+  var rows = []; var row = []; var field = ''; var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i+1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i+1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(function(r){ return r.some(function(v){ return v.trim() !== ''; }); });
+}
+function downloadFile(filename, content, type) {
+  var blob = new Blob([content], { type: type });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement('a');
+  a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
 function downloadCSV(filename, csv) {
+  try { downloadFile(filename, csv, 'text/csv;charset=utf-8;'); } catch (e) { console.error('downloadCSV failed', e); alert(t('csv.downloadFailed', { error: e && e.message })); }
+}
+
+/* ---------- User import ---------- */
+// header (lowercased, spaces/underscores dropped) -> account/directory field
+var IMPORT_COLUMNS = {
+  email: 'email', name: 'name', fullname: 'name',
+  gradyear: 'gradYear', graduationyear: 'gradYear', batch: 'gradYear', year: 'gradYear',
+  department: 'department', dept: 'department', company: 'company',
+  title: 'title', jobtitle: 'title', city: 'city', skills: 'skills'
+};
+var IMPORT_TEMPLATE = ['email', 'name', 'gradYear', 'department', 'company', 'title', 'city', 'skills'];
+// dry run: validates every row against the current accounts without writing anything.
+// Each row comes back as { line, data, status: 'create'|'duplicate'|'error', errors }.
+function planUserImport(text, users) {
+  var rows = parseCSV(text);
+  if (!rows.length) return { ok: false, msg: t('import.empty') };
+  var cols = rows[0].map(function(h){ return IMPORT_COLUMNS[String(h).trim().toLowerCase().replace(/[\s_]+/g, '')] || ''; });
+  if (cols.indexOf('email') < 0) return { ok: false, msg: t('import.needColumn', { column: 'email' }) };
+  if (cols.indexOf('name') < 0) return { ok: false, msg: t('import.needColumn', { column: 'name' }) };
+  var taken = {};
+  (users || []).forEach(function(u){ if (u && u.email) taken[normalizeEmail(u.email)] = 'existing'; });
+  var plan = rows.slice(1).map(function(cells, i){
+    var data = {}; var errors = [];
+    cols.forEach(function(c, j){ if (c && !data[c]) data[c] = String(cells[j] || '').trim(); });
+    if (data.email) data.email = normalizeEmail(data.email);
+    var key = data.email || '';
+    if (!data.email) errors.push(t('form.emailRequired'));
+    else if (!EMAIL_PATTERN.test(data.email)) errors.push(t('form.emailInvalid'));
+    if (!data.name) errors.push(t('form.nameRequired'));
+    if (data.gradYear && !/^(19|20)\d{2}$/.test(data.gradYear)) errors.push(t('form.gradYearInvalid'));
+    if (cells.length > cols.length) errors.push(t('import.extraValues'));
+    var status = errors.length ? 'error' : (taken[key] ? 'duplicate' : 'create');
+    if (status === 'duplicate') errors.push(taken[key] === 'existing' ? t('import.exists') : t('import.repeated'));
+    if (status === 'create') taken[key] = 'file';
+    return { line: i + 2, data: data, status: status, errors: errors };
+  });
+  var count = function (st) { return plan.filter(function(r){ return r.status === st; }).length; };
+  return { ok: true, rows: plan, create: count('create'), duplicate: count('duplicate'), error: count('error') };
+}
+// Imported accounts have no password and count as unconfirmed; the member picks one through an emailed
+// setup link (Forgot password?, Sign Up with the same email, or Send setup link in the admin user list).
+async function applyUserImport(plan, actor) {
+  if (!await authorize('users.create', 'CSV import')) return { ok: false, msg: t('import.noPermission') };
+  var now = new Date().toISOString(); var created; var rows;
+  // accounts first, so a row another tab just registered is skipped rather than duplicated
+  await DB.updateUsers(function (users) {
+    var taken = {}; users.forEach(function(u){ if (u && u.email) taken[normalizeEmail(u.email)] = true; });
+    created = []; rows = [];
+    plan.rows.forEach(function(r){
+      if (r.status !== 'create' || taken[normalizeEmail(r.data.email)]) return;
+      taken[normalizeEmail(r.data.email)] = true;
+      var d = r.data;
+      users.push({ email: d.email, name: d.name, role: 'member', disabled: false, created: now, lastLogin: null, mustSetPassword: true, emailVerified: false, importedBy: actor });
+      created.push(d.email); rows.push(d);
+    });
+    return created.length ? users : undefined;
+  });
+  if (rows.length) await DB.update('ap_alumni', [], function (alumni) {
+    rows.forEach(function(d){
+      var rec = { email: d.email, name: d.name, gradYear: d.gradYear ? parseInt(d.gradYear, 10) : null, department: d.department || '', company: d.company || '', title: d.title || '', city: d.city || '',
+        skills: String(d.skills || '').split(/[,;]/).map(function(x){ return x.trim(); }).filter(Boolean), visible: true, created: now };
+      var i = alumni.findIndex(function(a){ return a && sameEmail(a.email, d.email); });
+      if (i >= 0) alumni[i] = Object.assign({}, alumni[i], rec, { email: alumni[i].email }); else alumni.push(rec);
+    });
+    return alumni;
+  });
+  await DB.logActivity({ type: 'user.import', actor: actor, target: 'CSV', action: 'Imported ' + created.length + ' user' + (created.length === 1 ? '' : 's') + ' from CSV', details: { created: created }, timestamp: now });
+  return { ok: true, created: created };
+}
+
+/* ---------- Audit log ---------- */
+// Entries are stored newest first as
+//   { seq, timestamp, type, actor, target, action, details, prevHash, hash }
+// type is a dotted event name ('user.status', 'auth.login', ...), actor the email doing it, target what
+// it was done to, details any before/after values. hash covers every other field plus prevHash, the
+// hash of the entry before it, so editing or deleting a record breaks the chain. ap_log_meta keeps the
+// newest hash and the hash of the last entry removed by retention, so truncation shows up too.
+var LOG_META_KEY = 'ap_log_meta';
+var LOG_RETENTION_KEY = 'ap_log_retention';
+var LOG_RETENTION_DEFAULT = { maxEntries: 1000, maxDays: 0 };   // 0 days = no age limit
+var LOG_GENESIS = new Array(65).join('0');
+function auditEntryHash(entry) {
+  var copy = Object.assign({}, entry); delete copy.hash;
+  return sha256Hex(stableStringify(copy));
+}
+async function getLogRetention() { return logRetentionOf(await DB.read(LOG_RETENTION_KEY, null)); }
+function logRetentionOf(r) {
+  r = r || {};
+  return { maxEntries: r.maxEntries >= 0 ? r.maxEntries : LOG_RETENTION_DEFAULT.maxEntries, maxDays: r.maxDays >= 0 ? r.maxDays : LOG_RETENTION_DEFAULT.maxDays };
+}
+async function readLogMeta() { return await DB.read(LOG_META_KEY, null) || { seq: 0, head: LOG_GENESIS, prunedSeq: 0, prunedHash: LOG_GENESIS }; }
+// how many of the newest entries to keep; always a contiguous run so the chain stays checkable
+function retainedCount(logs, retention, now) {
+  var cut = logs.length;
+  if (retention.maxEntries > 0) cut = Math.min(cut, retention.maxEntries);
+  if (retention.maxDays > 0) { var oldest = now - retention.maxDays * 86400000; while (cut > 1 && new Date(logs[cut-1].timestamp).getTime() < oldest) cut--; }
+  return Math.max(1, cut);
+}
+// callers go through DB.logActivity, which queues this behind other writes
+// The sequence number and chain link are reserved on ap_log_meta first, so two tabs logging
+// at once get consecutive entries instead of forking the chain; the entry then goes into
+// ap_logs at its seq position.
+async function appendAuditEntry(entry) {
+  var rec;
+  await DB.update(LOG_META_KEY, null, async function (stored) {
+    var meta = Object.assign({ seq: 0, head: LOG_GENESIS, prunedSeq: 0, prunedHash: LOG_GENESIS }, stored || {});
+    rec = { seq: meta.seq + 1, timestamp: entry.timestamp || new Date().toISOString(), type: entry.type || 'other', actor: entry.actor || 'anonymous',
+      target: entry.target || '', action: entry.action || '', details: entry.details || null, prevHash: meta.head };
+    rec.hash = await auditEntryHash(rec);
+    meta.seq = rec.seq; meta.head = rec.hash;
+    return meta;
+  });
+  var retention = await getLogRetention(); var lastDropped = null;
+  await DB.update('ap_logs', [], function (logs) {
+    var at = 0; while (at < logs.length && logs[at] && logs[at].seq > rec.seq) at++;
+    logs.splice(at, 0, rec);
+    var keep = retainedCount(logs, retention, Date.now());
+    lastDropped = keep < logs.length ? logs[keep] : null;
+    return lastDropped ? logs.slice(0, keep) : logs;
+  });
+  if (lastDropped) await DB.update(LOG_META_KEY, null, function (meta) {
+    if (!meta || meta.prunedSeq >= lastDropped.seq) return undefined;
+    meta.prunedSeq = lastDropped.seq; meta.prunedHash = lastDropped.hash;
+    return meta;
+  });
+  return rec;
+}
+// { ok, checked, problems: [text] } - recomputes every hash and link
+async function verifyAuditLog() {
+  var logs = await DB.getLogs(); var meta = await readLogMeta(); var problems = [];
+  for (var i = 0; i < logs.length; i++) {
+    var l = logs[i];
+    if (!l || l.hash !== await auditEntryHash(l)) { problems.push(t('log.modified', { seq: l && l.seq })); continue; }
+    var older = logs[i+1];
+    if (older && l.prevHash !== older.hash) problems.push(older.seq === l.seq - 1 ? t('log.hashMismatch', { seq: older.seq, next: l.seq }) : t('log.gap', { from: older.seq, to: l.seq }));
+  }
+  if (logs.length) {
+    var newest = logs[0]; var oldestKept = logs[logs.length - 1];
+    if (newest.hash !== meta.head || newest.seq !== meta.seq) problems.push(t('log.headRemoved', { seq: newest.seq }));
+    if (oldestKept.prevHash !== meta.prunedHash) problems.push(t('log.tailRemoved', { seq: oldestKept.seq }));
+  } else if (meta.seq) problems.push(t('log.allRemoved', { count: meta.seq }));
+  return { ok: !problems.length, checked: logs.length, problems: problems };
+}
+// filter: { actor, type, from, to } - from/to are yyyy-mm-dd local dates, both inclusive
+function filterLogs(logs, filter) {
+  var actor = String(filter.actor || '').trim().toLowerCase();
+  var from = filter.from ? new Date(filter.from + 'T00:00:00').getTime() : null;
+  var to = filter.to ? new Date(filter.to + 'T23:59:59.999').getTime() : null;
+  return logs.filter(function(l){
+    if (!l) return false;
+    if (actor && String(l.actor || '').toLowerCase().indexOf(actor) < 0) return false;
+    if (filter.type && l.type !== filter.type && String(l.type).indexOf(filter.type + '.') !== 0) return false;
+    var t = new Date(l.timestamp).getTime();
+    if (from !== null && !(t >= from)) return false;
+    if (to !== null && !(t <= to)) return false;
+    return true;
+  });
+}
+function auditCSVRows(logs) {
+  return logs.map(function(l){ return { seq: l.seq, timestamp: l.timestamp, type: l.type, actor: l.actor, target: l.target, action: l.action, details: l.details ? JSON.stringify(l.details) : '', hash: l.hash }; });
+}
+var AUDIT_CSV_FIELDS = ['seq', 'timestamp', 'type', 'actor', 'target', 'action', 'details', 'hash'];
+async function setLogRetention(fields, actor) {
+  var maxEntries = parseInt(fields.maxEntries, 10); var maxDays = parseInt(fields.maxDays, 10);
+  if (!(maxEntries >= 0) || !(maxDays >= 0)) return { ok: false, msg: t('log.retentionNumber') };
+  if (maxEntries > 0 && maxEntries < 50) return { ok: false, msg: t('log.retentionMin') };
+  if (!await authorize('logs.configure')) return { ok: false, msg: t('log.retentionPermission') };
+  var before;
+  await DB.update(LOG_RETENTION_KEY, null, function (stored) { before = logRetentionOf(stored); return { maxEntries: maxEntries, maxDays: maxDays }; });
+  await DB.logActivity({ type: 'log.retention', actor: actor, target: LOG_RETENTION_KEY, action: 'Changed log retention', details: { before: before, after: { maxEntries: maxEntries, maxDays: maxDays } } });
+  return { ok: true };
+}
+
+/* ---------- Backup & restore ---------- */
+var BACKUP_FORMAT = 'alumni-portal-backup';
+var BACKUP_VERSION = 1;
+// per-browser state, not portal data; the mail outbox is left out too because its messages hold
+// working reset/setup links (accounts only keep the token hashes)
+var BACKUP_SKIP_KEYS = ['ap_currentUser', 'ap_dark', LOCALE_KEY, 'ap_storage', MAIL_TRANSPORT_KEY, MAIL_KEY, 'ap_contact_sent', CHANGE_PING_KEY];
+// backed up but never restored: the activity log is one hash chain, and swapping it for the
+// archived one would erase the local history (including who restored what), so it is kept in both modes
+var BACKUP_LOCAL_KEYS = ['ap_logs', LOG_META_KEY];
+// keyed collections are diffed and merged record by record; every other key is copied whole.
+// label is a catalog key (plain keys fall back to their own name)
+var BACKUP_COLLECTIONS = {
+  ap_users:  { label: 'backup.users', id: function (u) { return String(u.email || '').toLowerCase(); } },
+  ap_alumni: { label: 'backup.alumni', id: function (a) { return String(a.email || '').toLowerCase(); } },
+  ap_ann:    { label: 'backup.ann', id: function (a) { return a.id || (a.timestamp + '|' + a.text); } },
+  ap_events: { label: 'backup.events', id: function (e) { return e.id; } },
+  ap_messages: { label: 'backup.messages', id: function (m) { return m.id; } },
+  ap_outbox: { label: 'backup.outbox', id: function (o) { return o.id; } },
+  ap_mentors: { label: 'backup.mentors', id: function (m) { return String(m.email || '').toLowerCase(); } },
+  ap_mentorships: { label: 'backup.mentorships', id: function (p) { return p.id; } },
+  ap_jobs: { label: 'backup.jobs', id: function (j) { return j.id; } }
+};
+// JSON with object keys sorted, so the checksum doesn't depend on property order
+function stableStringify(v) {
+  if (Array.isArray(v)) return '[' + v.map(stableStringify).join(',') + ']';
+  if (v && typeof v === 'object') return '{' + Object.keys(v).sort().filter(function(k){ return v[k] !== undefined; }).map(function(k){ return JSON.stringify(k) + ':' + stableStringify(v[k]); }).join(',') + '}';
+  return JSON.stringify(v === undefined ? null : v);
+}
+async function backupChecksum(archive) {
+  return sha256Hex(stableStringify({ format: archive.format, version: archive.version, schemaVersion: archive.schemaVersion, created: archive.created, by: archive.by, data: archive.data }));
+}
+async function readPortalData() {
+  var keys = (await DB.adapter.keys()).filter(function(k){ return BACKUP_SKIP_KEYS.indexOf(k) < 0; });
+  var data = {};
+  for (var i = 0; i < keys.length; i++) { var v = await DB.adapter.get(keys[i]); if (v !== null && v !== undefined) data[keys[i]] = v; }
+  return data;
+}
+async function createBackup(actor) {
+  if (!await authorize('data.backup')) return { ok: false, msg: t('backup.noPermission') };
+  var data = await readPortalData();
+  var archive = { format: BACKUP_FORMAT, version: BACKUP_VERSION, schemaVersion: await DB.read(SCHEMA_VERSION_KEY, 0), created: new Date().toISOString(), by: actor, data: data };
+  archive.checksum = await backupChecksum(archive);
+  await DB.logActivity({ type: 'data.backup', actor: actor, target: 'portal', action: 'Downloaded backup (' + Object.keys(data).length + ' keys)', details: { keys: Object.keys(data), checksum: archive.checksum }, timestamp: archive.created });
+  return { ok: true, archive: archive };
+}
+// { ok, archive } or { ok: false, msg } for the text of an uploaded archive
+async function readBackup(text) {
+  var archive;
+  try { archive = JSON.parse(text); } catch (e) { return { ok: false, msg: t('backup.notJSON') }; }
+  if (!archive || archive.format !== BACKUP_FORMAT) return { ok: false, msg: t('backup.wrongFormat') };
+  if (archive.version !== BACKUP_VERSION) return { ok: false, msg: t('backup.badVersion', { version: archive.version }) };
+  if (!archive.data || typeof archive.data !== 'object' || Array.isArray(archive.data)) return { ok: false, msg: t('backup.noData') };
+  if (archive.checksum !== await backupChecksum(archive)) return { ok: false, msg: t('backup.checksum') };
+  if (!(archive.schemaVersion <= SCHEMA_VERSION)) return { ok: false, msg: t('backup.newerSchema', { schema: archive.schemaVersion }) };
+  var bad = Object.keys(BACKUP_COLLECTIONS).filter(function(k){ return k in archive.data && !Array.isArray(archive.data[k]); });
+  if (bad.length) return { ok: false, msg: t('backup.malformed', { keys: bad.join(', ') }) };
+  return { ok: true, archive: archive };
+}
+// Pure: works out the post-restore data and a per-key summary. mode 'replace' makes the portal an
+// exact copy of the archive; 'merge' adds new records, overwrites matching ones and keeps the rest.
+// Either way BACKUP_LOCAL_KEYS keep their current value.
+function mergeBackupData(current, incoming, mode) {
+  incoming = Object.assign({}, incoming);
+  BACKUP_SKIP_KEYS.forEach(function(k){ delete incoming[k]; });   // e.g. ap_mail in files from older builds
+  var data = mode === 'replace' ? {} : Object.assign({}, current);
+  var changes = [];
+  var keys = Object.keys(incoming).concat(Object.keys(current).filter(function(k){ return !(k in incoming); }));
+  keys.forEach(function(key){
+    if (key === SCHEMA_VERSION_KEY) return;
+    if (BACKUP_LOCAL_KEYS.indexOf(key) >= 0) { if (key in current) data[key] = current[key]; return; }
+    var col = BACKUP_COLLECTIONS[key]; var have = current[key]; var next = incoming[key];
+    if (!col) {
+      if (!(key in incoming)) { if (mode === 'replace') changes.push({ key: key, label: key, removed: 1 }); return; }
+      if (mode === 'merge' && key in current) return;   // settings already present locally win in merge mode
+      data[key] = next;
+      if (stableStringify(have) !== stableStringify(next)) changes.push({ key: key, label: key, replaced: key in current ? 1 : 0, added: key in current ? 0 : 1 });
+      return;
+    }
+    var mine = Array.isArray(have) ? have : []; var theirs = Array.isArray(next) ? next : [];
+    var byId = {}; mine.forEach(function(r){ if (r) byId[col.id(r)] = r; });
+    var seen = {}; var c = { key: key, label: col.label, added: 0, replaced: 0, unchanged: 0, removed: 0 };
+    theirs.forEach(function(r){
+      if (!r) return; var id = col.id(r); seen[id] = true;
+      if (!(id in byId)) c.added++; else if (stableStringify(byId[id]) === stableStringify(r)) c.unchanged++; else c.replaced++;
+    });
+    var kept = mine.filter(function(r){ return r && !seen[col.id(r)]; });
+    if (mode === 'replace') { c.removed = kept.length; data[key] = theirs.slice(); }
+    else {
+      var merged = mine.map(function(r){ var id = r ? col.id(r) : null; return id !== null && seen[id] ? theirs.find(function(t){ return t && col.id(t) === id; }) : r; });
+      theirs.forEach(function(r){ if (r && !(col.id(r) in byId)) merged.push(r); });
+      data[key] = merged;
+    }
+    if (c.added || c.replaced || c.removed) changes.push(c);
+  });
+  return { data: data, changes: changes };
+}
+async function planRestore(archive, mode) {
+  if (mode !== 'merge' && mode !== 'replace') return { ok: false, msg: t('backup.chooseMode') };
+  if (mode === 'merge' && archive.schemaVersion !== await DB.read(SCHEMA_VERSION_KEY, 0)) return { ok: false, msg: t('backup.olderSchema', { schema: archive.schemaVersion }) };
+  var res = mergeBackupData(await readPortalData(), archive.data, mode);
+  if (!activeAdminCount(res.data.ap_users || [])) return { ok: false, msg: t('backup.noAdmin') };
+  return { ok: true, mode: mode, changes: res.changes };
+}
+async function applyRestore(archive, mode, actor) {
+  if (!await authorize('data.restore', mode)) return { ok: false, msg: t('backup.noRestorePermission') };
+  var plan = await planRestore(archive, mode);
+  if (!plan.ok) return plan;
+  if (mode === 'merge') {
+    // key by key against the latest stored value, so records another tab adds meanwhile survive
+    var mergeKeys = Object.keys(archive.data);
+    for (var m = 0; m < mergeKeys.length; m++) {
+      var key = mergeKeys[m]; var only = {}; only[key] = archive.data[key];
+      await DB.update(key, null, function (current) {
+        var mine = {}; if (current !== null) mine[key] = current;
+        var merged = mergeBackupData(mine, only, mode).data;
+        return key in merged && stableStringify(merged[key]) !== stableStringify(current) ? merged[key] : undefined;
+      });
+    }
+  } else await DB.serial(async function () {
+    var res = mergeBackupData(await readPortalData(), archive.data, mode);
+    var old = (await DB.adapter.keys()).filter(function(k){ return BACKUP_SKIP_KEYS.indexOf(k) < 0 && !(k in res.data); });
+    for (var i = 0; i < old.length; i++) { await DB.adapter.remove(old[i]); DB.changed(old[i]); }
+    res.data[SCHEMA_VERSION_KEY] = archive.schemaVersion;
+    var keys = Object.keys(res.data);
+    for (var j = 0; j < keys.length; j++) if (BACKUP_LOCAL_KEYS.indexOf(keys[j]) < 0) await DB.write(keys[j], res.data[keys[j]]);
+  });
+  if (mode === 'replace') await runMigrations();   // brings an older archive up to the current schema
+  var summary = plan.changes.map(function(c){ return c.key + ' +' + (c.added || 0) + ' ~' + (c.replaced || 0) + (c.removed ? ' -' + c.removed : ''); }).join(', ');
+  await DB.logActivity({ type: 'data.restore', actor: actor, target: mode, action: 'Restored backup from ' + archive.created + ' (' + mode + ')' + (summary ? ': ' + summary : ''), details: { created: archive.created, by: archive.by, checksum: archive.checksum, changes: plan.changes } });
+  return plan;
+}
+
+/* ---------- Events helpers ---------- */
+function isPastEvent(ev, now) { return new Date(ev.end || ev.start).getTime() < (now || Date.now()); }
+function findEvent(events, id) { return events.find(function(e){ return e && e.id === id; }); }
+function rsvpStatus(ev, email) {
+  if ((ev.attendees || []).some(function(a){ return a.email === email; })) return 'going';
+  var pos = (ev.waitlist || []).findIndex(function(a){ return a.email === email; });
+  return pos >= 0 ? 'waitlist:' + (pos + 1) : '';
+}
+// moves people off the waitlist while seats are free; returns who was promoted
+function promoteWaitlist(ev) {
+  var promoted = [];
+  ev.attendees = ev.attendees || []; ev.waitlist = ev.waitlist || [];
+  while (ev.waitlist.length && (!ev.capacity || ev.attendees.length < ev.capacity)) {
+    var next = ev.waitlist.shift(); ev.attendees.push(next); promoted.push(next);
+  }
+  return promoted;
+}
+async function rsvpEvent(id, user) {
+  var ev; var fail; var already;
+  await DB.update('ap_events', [], function (events) {
+    ev = findEvent(events, id); fail = ''; already = '';
+    if (!ev) fail = t('events.notFound');
+    else if (ev.status === 'cancelled') fail = t('events.wasCancelled');
+    else if (isPastEvent(ev)) fail = t('events.isPast');
+    else already = rsvpStatus(ev, user.email);
+    if (fail || already) return undefined;
+    var entry = { email: user.email, name: user.name || '', at: new Date().toISOString() };
+    ev.attendees = ev.attendees || []; ev.waitlist = ev.waitlist || [];
+    if (ev.capacity && ev.attendees.length >= ev.capacity) ev.waitlist.push(entry); else ev.attendees.push(entry);
+    return events;
+  });
+  if (fail) return { ok: false, msg: fail };
+  if (already) return { ok: true, status: already };
+  var status = rsvpStatus(ev, user.email);
+  await DB.logActivity({ type: 'rsvp.create', actor: user.email, target: ev.id, action: (status === 'going' ? 'RSVP to ' : 'Waitlisted for ') + ev.title, details: { status: status } });
+  return { ok: true, status: status };
+}
+async function cancelRsvp(id, email) {
+  var ev; var promoted; var changed;
+  await DB.update('ap_events', [], function (events) {
+    ev = findEvent(events, id); promoted = []; changed = false;
+    if (!ev) return undefined;
+    var before = (ev.attendees || []).length + (ev.waitlist || []).length;
+    ev.attendees = (ev.attendees || []).filter(function(a){ return a.email !== email; });
+    ev.waitlist = (ev.waitlist || []).filter(function(a){ return a.email !== email; });
+    changed = ev.attendees.length + ev.waitlist.length !== before;
+    if (!changed) return undefined;
+    promoted = promoteWaitlist(ev);
+    return events;
+  });
+  if (!ev) return { ok: false, msg: t('events.notFound') };
+  if (!changed) return { ok: true };
+  await DB.logActivity({ type: 'rsvp.cancel', actor: email, target: ev.id, action: 'Cancelled RSVP to ' + ev.title });
+  promoted.forEach(function(p){ DB.logActivity({ type: 'rsvp.promote', actor: 'system', target: ev.id, action: 'Promoted ' + p.email + ' from waitlist for ' + ev.title, details: { email: p.email } }); });
+  return { ok: true };
+}
+async function saveEvent(fields, actor) {
+  var title = (fields.title || '').trim();
+  if (!title) return { ok: false, msg: t('events.titleRequired') };
+  var start = new Date(fields.start || '');
+  if (isNaN(start.getTime())) return { ok: false, msg: t('events.badStart') };
+  var end = fields.end ? new Date(fields.end) : start;
+  if (isNaN(end.getTime()) || end < start) return { ok: false, msg: t('events.badEnd') };
+  var capacity = parseInt(fields.capacity, 10) || 0;
+  if (capacity < 0) return { ok: false, msg: t('events.badCapacity') };
+  if (!await authorize('events.manage', title)) return { ok: false, msg: t('events.noPermission') };
+  var ev; var isNew = !fields.id; var before; var promoted;
+  var newEventId = isNew ? newId('ev') : null;
+  await DB.update('ap_events', [], function (events) {
+    ev = isNew ? null : findEvent(events, fields.id); before = null; promoted = [];
+    if (!isNew && !ev) return undefined;
+    if (isNew) { ev = { id: newEventId, status: 'active', attendees: [], waitlist: [], by: actor, created: new Date().toISOString() }; events.push(ev); }
+    else before = eventSnapshot(ev);
+    Object.assign(ev, { title: title, description: (fields.description || '').trim(), location: (fields.location || '').trim(), start: start.toISOString(), end: end.toISOString(), capacity: capacity, updated: new Date().toISOString() });
+    promoted = promoteWaitlist(ev);
+    return events;
+  });
+  if (!ev) return { ok: false, msg: t('events.notFound') };
+  await DB.logActivity({ type: isNew ? 'event.create' : 'event.update', actor: actor, target: ev.id, action: (isNew ? 'Created event ' : 'Updated event ') + title, details: { before: before, after: eventSnapshot(ev) } });
+  promoted.forEach(function(p){ DB.logActivity({ type: 'rsvp.promote', actor: 'system', target: ev.id, action: 'Promoted ' + p.email + ' from waitlist for ' + title, details: { email: p.email } }); });
+  return { ok: true, event: ev };
+}
+async function setEventStatus(id, status, actor) {
+  if (!await authorize('events.manage', id)) return { ok: false, msg: t('events.noPermission') };
+  var ev; var before;
+  await DB.update('ap_events', [], function (events) {
+    ev = findEvent(events, id);
+    if (!ev) return undefined;
+    before = ev.status; ev.status = status; ev.updated = new Date().toISOString();
+    return events;
+  });
+  if (!ev) return { ok: false, msg: t('events.notFound') };
+  await DB.logActivity({ type: status === 'cancelled' ? 'event.cancel' : 'event.restore', actor: actor, target: ev.id, action: (status === 'cancelled' ? 'Cancelled event ' : 'Restored event ') + ev.title, details: { before: { status: before }, after: { status: status } } });
+  return { ok: true };
+}
+function eventSnapshot(ev) { return { title: ev.title, start: ev.start, end: ev.end, location: ev.location, capacity: ev.capacity, status: ev.status }; }
+function eventAttendeeRows(ev) {
+  var rows = (ev.attendees || []).map(function(a){ return { name: a.name || '', email: a.email, status: 'going', position: '', rsvpAt: a.at || '' }; });
+  (ev.waitlist || []).forEach(function(a, i){ rows.push({ name: a.name || '', email: a.email, status: 'waitlist', position: i + 1, rsvpAt: a.at || '' }); });
+  return rows;
+}
+function icsDate(iso) { return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); }
+function icsText(v) { return String(v || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n'); }
+// RFC 5545 wants content lines of at most 75 octets (UTF-8), continued with a leading space;
+// Array.from walks whole code points, so a fold never lands inside a character or surrogate pair
+function icsFold(line) {
+  var enc = new TextEncoder(); var out = []; var chunk = ''; var bytes = 0;
+  Array.from(line).forEach(function(ch){
+    var len = enc.encode(ch).length;
+    if (bytes + len > (out.length ? 74 : 75)) { out.push(chunk); chunk = ''; bytes = 0; }
+    chunk += ch; bytes += len;
+  });
+  out.push(chunk);
+  return out.join('\r\n ');
+}
+function eventToICS(ev) {
+  var lines = [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Alumni Portal//Events//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    'UID:' + ev.id + '@alumni-portal',
+    'DTSTAMP:' + icsDate(new Date().toISOString()),
+    'DTSTART:' + icsDate(ev.start),
+    'DTEND:' + icsDate(ev.end || ev.start),
+    'SUMMARY:' + icsText(ev.title),
+    'DESCRIPTION:' + icsText(ev.description),
+    'LOCATION:' + icsText(ev.location),
+    'STATUS:' + (ev.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'),
+    'END:VEVENT', 'END:VCALENDAR'
+  ];
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+function eventFilename(ev, ext) { return (String(ev.title || 'event').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event') + '.' + ext; }
+function toLocalInput(iso) {
+  if (!iso) return '';
+  var d = new Date(iso); if (isNaN(d.getTime())) return '';
+  return d.getFullYear() + '-' + String(d.getMonth()+1).padStart(2,'0') + '-' + String(d.getDate()).padStart(2,'0') + 'T' + String(d.getHours()).padStart(2,'0') + ':' + String(d.getMinutes()).padStart(2,'0');
+}
+
+/* ---------- Mentorship ---------- */
+// ap_mentors:      { email, name, expertise: [..], capacity, bio, active, created, updated }
+// ap_mentorships:  { id, mentee, menteeName, mentor, mentorName, message, status, created, updated }
+// status moves pending -> accepted | declined | withdrawn, and accepted -> ended
+var MENTORSHIP_STATUSES = { pending: 'mentor.status.pending', accepted: 'mentor.status.accepted', declined: 'mentor.status.declined', withdrawn: 'mentor.status.withdrawn', ended: 'mentor.status.ended' };   // -> catalog key
+var MENTOR_CAPACITY_MAX = 10;
+var MENTORSHIP_PENDING_LIMIT = 5;          // open requests one member may have waiting at a time
+var MENTORSHIP_MESSAGE_MAX = 1000;
+function findMentor(mentors, email) { return mentors.find(function(m){ return m && m.email === email; }); }
+function findMentorship(list, id) { return list.find(function(p){ return p && p.id === id; }); }
+function isOpenMentorship(p) { return p.status === 'pending' || p.status === 'accepted'; }
+function mentorLoad(list, email) { return list.filter(function(p){ return p && p.mentor === email && p.status === 'accepted'; }).length; }
+function tagList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(',')).map(function(s){ return String(s).trim(); }).filter(Boolean);
+}
+async function saveMentorProfile(user, fields) {
+  var active = !!fields.active;
+  var expertise = tagList(fields.expertise);
+  var capacity = parseInt(fields.capacity, 10);
+  if (active && !expertise.length) return { ok: false, msg: t('mentor.expertiseRequired') };
+  if (!(capacity >= 1 && capacity <= MENTOR_CAPACITY_MAX)) return { ok: false, msg: t('mentor.badCapacity', { max: MENTOR_CAPACITY_MAX }) };
+  var account = findUser(await DB.getUsers(), user.email);
+  if (!account || account.disabled) return { ok: false, msg: t('account.notFound') };
+  var before; var now = new Date().toISOString();
+  var rec = { email: account.email, name: account.name || account.email, expertise: expertise, capacity: capacity, bio: String(fields.bio || '').trim(), active: active, updated: now };
+  await DB.update('ap_mentors', [], function (mentors) {
+    var m = findMentor(mentors, account.email);
+    before = m ? { active: !!m.active, capacity: m.capacity, expertise: m.expertise } : null;
+    if (m) Object.assign(m, rec); else mentors.push(Object.assign({ created: now }, rec));
+    return mentors;
+  });
+  await DB.logActivity({ type: 'mentor.profile', actor: account.email, target: account.email, action: !before ? 'Signed up as a mentor' : (before.active !== active ? (active ? 'Resumed mentoring' : 'Paused mentoring') : 'Updated mentor profile'),
+    details: { before: before, after: { active: active, capacity: capacity, expertise: expertise } } });
+  return { ok: true };
+}
+// Suggestions for one member, best first: { mentor, score, reasons, load, full, open } where open is
+// the member's pending/active request with that mentor. Field (department) counts most, then company,
+// then each skill the member lists that the mentor has as expertise or a skill.
+function mentorMatches(email, mentors, alumni, pairings) {
+  var byEmail = {}; alumni.forEach(function(a){ if (a && a.email) byEmail[a.email] = a; });
+  var me = byEmail[email] || {};
+  var lower = function (s) { return String(s || '').trim().toLowerCase(); };
+  var mySkills = tagList(me.skills).map(lower);
+  return mentors.filter(function(m){ return m && m.active && m.email !== email; }).map(function(m){
+    var a = byEmail[m.email] || {}; var score = 0; var reasons = [];
+    if (lower(me.department) && lower(me.department) === lower(a.department)) { score += 3; reasons.push(t('mentor.reasonField', { field: a.department })); }
+    if (lower(me.company) && lower(me.company) === lower(a.company)) { score += 2; reasons.push(t('mentor.reasonCompany', { company: a.company })); }
+    var theirs = tagList(m.expertise).concat(tagList(a.skills)).map(lower);
+    var shared = mySkills.filter(function(s, i){ return theirs.indexOf(s) >= 0 && mySkills.indexOf(s) === i; });
+    if (shared.length) { score += shared.length; reasons.push(t('mentor.reasonSkills', { skills: shared.join(', ') })); }
+    var load = mentorLoad(pairings, m.email);
+    var open = pairings.find(function(p){ return p && p.mentee === email && p.mentor === m.email && isOpenMentorship(p); }) || null;
+    return { mentor: m, profile: a, score: score, reasons: reasons, load: load, full: load >= m.capacity, open: open };
+  }).sort(function(x, y){ return (y.score - x.score) || (x.full - y.full) || String(x.mentor.name).localeCompare(String(y.mentor.name)); });
+}
+async function requestMentorship(mentorEmail, message, user) {
+  message = String(message || '').trim();
+  if (!user || !user.email) return { ok: false, msg: t('mentor.loginRequired') };
+  if (mentorEmail === user.email) return { ok: false, msg: t('mentor.notYourself') };
+  if (message.length > MENTORSHIP_MESSAGE_MAX) return { ok: false, msg: t('form.tooLong', { max: MENTORSHIP_MESSAGE_MAX }) };
+  var mentor = findMentor(await DB.getMentors(), mentorEmail);
+  if (!mentor || !mentor.active) return { ok: false, msg: t('mentor.notTaking') };
+  var fail; var req = { id: newId('mnt'), mentee: user.email, menteeName: user.name || user.email, mentor: mentor.email, mentorName: mentor.name, message: message, status: 'pending', created: new Date().toISOString() };
+  await DB.update('ap_mentorships', [], function (list) {
+    fail = '';
+    if (list.some(function(p){ return p && p.mentee === user.email && p.mentor === mentorEmail && isOpenMentorship(p); })) fail = t('mentor.alreadyOpen');
+    else if (mentorLoad(list, mentorEmail) >= mentor.capacity) fail = t('mentor.full');
+    else if (list.filter(function(p){ return p && p.mentee === user.email && p.status === 'pending'; }).length >= MENTORSHIP_PENDING_LIMIT) fail = t('mentor.tooManyPending', { count: MENTORSHIP_PENDING_LIMIT });
+    if (fail) return undefined;
+    list.unshift(req);
+    return list;
+  });
+  if (fail) return { ok: false, msg: fail };
+  await DB.logActivity({ type: 'mentorship.request', actor: user.email, target: req.id, action: 'Requested mentorship from ' + mentor.email, details: { mentor: mentor.email, mentee: user.email } });
+  return { ok: true, request: req };
+}
+// action: accept | decline (mentor, while pending), withdraw (mentee, while pending), end (either side, while active)
+async function respondMentorship(id, action, user) {
+  var allowed = { accept: 'pending', decline: 'pending', withdraw: 'pending', end: 'accepted' };
+  var next = { accept: 'accepted', decline: 'declined', withdraw: 'withdrawn', end: 'ended' };
+  if (!allowed[action]) return { ok: false, msg: t('form.unknownAction') };
+  if (!user || !user.email) return { ok: false, msg: t('form.loginFirst') };
+  var mentors = await DB.getMentors();
+  var fail; var found; var before;
+  await DB.update('ap_mentorships', [], function (list) {
+    found = findMentorship(list, id); fail = '';
+    if (!found) fail = t('mentor.requestNotFound');
+    else if (action === 'withdraw' ? found.mentee !== user.email : (action === 'end' ? found.mentee !== user.email && found.mentor !== user.email : found.mentor !== user.email)) fail = t('mentor.notYours');
+    else if (found.status !== allowed[action]) fail = t('mentor.alreadyState', { status: t(MENTORSHIP_STATUSES[found.status]).toLowerCase() });
+    else if (action === 'accept') {
+      var m = findMentor(mentors, user.email);
+      if (mentorLoad(list, user.email) >= (m ? m.capacity : 0)) fail = t('mentor.atCapacity');
+    }
+    if (fail) return undefined;
+    before = found.status; found.status = next[action]; found.updated = new Date().toISOString();
+    return list;
+  });
+  if (fail) return { ok: false, msg: fail };
+  await DB.logActivity({ type: 'mentorship.' + action, actor: user.email, target: id, action: ({ accept: 'Accepted mentorship of ', decline: 'Declined mentorship of ', withdraw: 'Withdrew mentorship request to ', end: 'Ended mentorship ' })[action] +
+    (action === 'withdraw' ? found.mentor : (action === 'end' ? found.mentor + ' → ' + found.mentee : found.mentee)), details: { before: { status: before }, after: { status: found.status }, mentor: found.mentor, mentee: found.mentee } });
+  return { ok: true, pairing: found };
+}
+function mentorshipCSVRows(pairings, mentors) {
+  return pairings.filter(function(p){ return p && p.status === 'accepted'; }).map(function(p){
+    var m = findMentor(mentors, p.mentor) || {};
+    return { mentor: p.mentor, mentorName: p.mentorName || '', mentee: p.mentee, menteeName: p.menteeName || '', since: p.updated || p.created, expertise: tagList(m.expertise).join('; ') };
+  });
+}
+var MENTORSHIP_CSV_FIELDS = ['mentor', 'mentorName', 'mentee', 'menteeName', 'since', 'expertise'];
+
+/* ---------- Job board ---------- */
+// ap_jobs: { id, title, company, location, remote, description, applyUrl, expiresAt, status, postedBy, posterName,
+//            created, updated, reviewedBy, reviewedAt, applicants: [{ email, name, at }] }
+// status is pending until an admin or moderator approves (or rejects) it; the poster can close it
+var JOB_STATUSES = { pending: 'jobs.status.pending', approved: 'jobs.status.approved', rejected: 'jobs.status.rejected', closed: 'jobs.status.closed' };   // -> catalog key
+var JOB_MAX_DAYS = 90;                      // furthest expiry a posting may have
+var JOB_DESCRIPTION_MAX = 2000;
+function findJob(jobs, id) { return jobs.find(function(j){ return j && j.id === id; }); }
+// 'live' postings are approved and not yet expired; everything else is only shown to the poster and reviewers
+function jobState(job, now) {
+  if (job.status !== 'approved') return job.status;
+  return new Date(job.expiresAt).getTime() <= (now || Date.now()) ? 'expired' : 'live';
+}
+function visibleJobs(jobs, now) {
+  return jobs.filter(function(j){ return j && jobState(j, now) === 'live'; }).sort(function(a, b){ return new Date(b.reviewedAt || b.created) - new Date(a.reviewedAt || a.created); });
+}
+// filter: { q, location, remote } - q searches title, company and description; location is an exact (case-insensitive) match
+function filterJobs(jobs, filter) {
+  var q = String(filter.q || '').trim().toLowerCase(); var loc = String(filter.location || '').trim().toLowerCase();
+  return jobs.filter(function(j){
+    if (filter.remote && !j.remote) return false;
+    if (loc && String(j.location || '').trim().toLowerCase() !== loc) return false;
+    return !q || [j.title, j.company, j.description].join(' ').toLowerCase().indexOf(q) >= 0;
+  });
+}
+async function saveJob(fields, user) {
+  if (!user || !user.email) return { ok: false, msg: t('jobs.loginRequired') };
+  var title = String(fields.title || '').trim(); var company = String(fields.company || '').trim(); var location = String(fields.location || '').trim();
+  var description = String(fields.description || '').trim(); var remote = !!fields.remote;
+  if (!title) return { ok: false, msg: t('jobs.titleRequired') };
+  if (!company) return { ok: false, msg: t('jobs.companyRequired') };
+  if (!location && !remote) return { ok: false, msg: t('jobs.locationRequired') };
+  if (description.length > JOB_DESCRIPTION_MAX) return { ok: false, msg: t('jobs.descriptionTooLong', { max: JOB_DESCRIPTION_MAX }) };
+  var applyUrl = String(fields.applyUrl || '').trim();
+  if (applyUrl && !/^(https?:|mailto:)/i.test(safeUrl(applyUrl))) return { ok: false, msg: t('jobs.badLink') };
+  var expires = fields.expiresAt ? new Date(fields.expiresAt + (/T/.test(fields.expiresAt) ? '' : 'T23:59:59')) : null;
+  if (!expires || isNaN(expires.getTime())) return { ok: false, msg: t('jobs.expiryRequired') };
+  if (expires.getTime() <= Date.now()) return { ok: false, msg: t('jobs.expiryPast') };
+  if (expires.getTime() > Date.now() + JOB_MAX_DAYS * DAY_MS) return { ok: false, msg: t('jobs.expiryTooFar', { count: JOB_MAX_DAYS }) };
+  var account = findUser(await DB.getUsers(), user.email);
+  if (!account || account.disabled) return { ok: false, msg: t('account.notFound') };
+  var now = new Date().toISOString();
+  var job = { id: newId('job'), title: title, company: company, location: location, remote: remote, description: description, applyUrl: applyUrl, expiresAt: expires.toISOString(),
+    status: 'pending', postedBy: account.email, posterName: account.name || account.email, created: now, updated: now, reviewedBy: '', reviewedAt: null, applicants: [] };
+  await DB.update('ap_jobs', [], function (jobs) { jobs.unshift(job); return jobs; });
+  await DB.logActivity({ type: 'job.create', actor: account.email, target: job.id, action: 'Posted job ' + title + ' at ' + company + ' for approval', details: { after: { title: title, company: company, location: location, remote: remote, expiresAt: job.expiresAt } } });
+  return { ok: true, job: job };
+}
+// decision: approve | reject
+async function reviewJob(id, decision, actor) {
+  if (decision !== 'approve' && decision !== 'reject') return { ok: false, msg: t('form.unknownAction') };
+  if (!await authorize('jobs.approve', id)) return { ok: false, msg: t('jobs.noPermission') };
+  var found; var before;
+  await DB.update('ap_jobs', [], function (jobs) {
+    found = findJob(jobs, id); before = null;
+    if (!found || found.status !== 'pending') return undefined;
+    before = found.status; found.status = decision === 'approve' ? 'approved' : 'rejected';
+    found.reviewedBy = actor; found.reviewedAt = found.updated = new Date().toISOString();
+    return jobs;
+  });
+  if (!found) return { ok: false, msg: t('jobs.notFound') };
+  if (!before) return { ok: false, msg: t('jobs.alreadyState', { status: t(JOB_STATUSES[found.status]).toLowerCase() }) };
+  await DB.logActivity({ type: 'job.' + decision, actor: actor, target: id, action: (decision === 'approve' ? 'Approved job ' : 'Rejected job ') + found.title + ' at ' + found.company + ' (posted by ' + found.postedBy + ')', details: { before: { status: before }, after: { status: found.status } } });
+  return { ok: true, job: found };
+}
+// the poster, or anyone who may approve postings, can take a posting down early
+async function closeJob(id, user) {
+  var job = findJob(await DB.getJobs(), id);
+  if (!job) return { ok: false, msg: t('jobs.notFound') };
+  // closing someone else's posting is a reviewer action, checked (and logged) like approve/reject
+  var reviewer = !sameEmail(job.postedBy, user.email) && await authorize('jobs.approve', id);
+  var found; var fail;
+  await DB.update('ap_jobs', [], function (jobs) {
+    found = findJob(jobs, id); fail = '';
+    if (!found) fail = t('jobs.notFound');
+    else if (!sameEmail(found.postedBy, user.email) && !reviewer) fail = t('jobs.posterOnly');
+    else if (found.status === 'closed') fail = t('jobs.alreadyClosed');
+    if (fail) return undefined;
+    found.status = 'closed'; found.updated = new Date().toISOString();
+    return jobs;
+  });
+  if (fail) return { ok: false, msg: fail };
+  await DB.logActivity({ type: 'job.close', actor: user.email, target: id, action: 'Closed job ' + found.title + ' at ' + found.company });
+  return { ok: true };
+}
+// records (or takes back) that a member applied, so the poster sees how much interest a posting gets
+async function markJobApplied(id, applied, user) {
+  if (!user || !user.email) return { ok: false, msg: t('form.loginFirst') };
+  var found; var fail; var changed;
+  await DB.update('ap_jobs', [], function (jobs) {
+    found = findJob(jobs, id); fail = ''; changed = false;
+    if (!found || jobState(found) !== 'live') fail = t('jobs.notOpen');
+    else if (found.postedBy === user.email) fail = t('jobs.ownPosting');
+    if (fail) return undefined;
+    var list = found.applicants = found.applicants || [];
+    var i = list.findIndex(function(a){ return a.email === user.email; });
+    if (applied && i < 0) list.push({ email: user.email, name: user.name || '', at: new Date().toISOString() });
+    else if (!applied && i >= 0) list.splice(i, 1);
+    else return undefined;
+    changed = true;
+    return jobs;
+  });
+  if (fail) return { ok: false, msg: fail };
+  if (changed) await DB.logActivity({ type: applied ? 'job.apply' : 'job.unapply', actor: user.email, target: id, action: (applied ? 'Applied to ' : 'Withdrew application to ') + found.title + ' at ' + found.company });
+  return { ok: true };
+}
+
+/* ---------- Analytics ---------- */
+var ANALYTICS_RANGES = { '30': 30, '90': 90, '365': 365, 'all': 0 };   // days; 0 = since the first record
+var DORMANT_AFTER_DAYS = 90;
+var DAY_MS = 86400000;
+function startOfUnit(d, unit) {
+  d = new Date(d); d.setHours(0, 0, 0, 0);
+  if (unit === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));   // weeks start on Monday
+  if (unit === 'month') d.setDate(1);
+  return d;
+}
+function addUnit(d, unit) {
+  d = new Date(d);
+  if (unit === 'month') d.setMonth(d.getMonth() + 1); else d.setDate(d.getDate() + (unit === 'week' ? 7 : 1));
+  return d;
+}
+function bucketLabel(d, unit) { return d.getFullYear() + '-' + String(d.getMonth()+1).padStart(2,'0') + (unit === 'month' ? '' : '-' + String(d.getDate()).padStart(2,'0')); }
+// chart axis text in the reader's locale; the rows keep ISO periods for the CSV export
+function periodLabel(period) {
+  var p = String(period).split('-').map(Number);
+  return formatDate(new Date(p[0], p[1] - 1, p[2] || 1), p.length > 2 ? 'day' : 'monthYear');
+}
+function withPeriodLabels(rows) { return rows.map(function(r){ return Object.assign({ label: periodLabel(r.period) }, r); }); }
+// { from, to, unit, buckets: [{ start, end, label }] } - bucket size grows with the range so charts stay readable
+function analyticsWindow(range, times, now) {
+  var days = ANALYTICS_RANGES[range] !== undefined ? ANALYTICS_RANGES[range] : 90;
+  var earliest = times.length ? Math.min.apply(null, times) : now - 365 * DAY_MS;
+  var from = days ? now - (days - 1) * DAY_MS : earliest;
+  var span = now - from;
+  var unit = span <= 31 * DAY_MS ? 'day' : (span <= 183 * DAY_MS ? 'week' : 'month');
+  var buckets = [];
+  for (var d = startOfUnit(from, unit); d.getTime() <= now; d = addUnit(d, unit)) buckets.push({ start: d.getTime(), end: addUnit(d, unit).getTime(), label: bucketLabel(d, unit) });
+  return { from: buckets.length ? buckets[0].start : from, to: now, unit: unit, buckets: buckets };
+}
+function validTimes(values) { return values.map(function(v){ return v ? new Date(v).getTime() : NaN; }).filter(function(t){ return !isNaN(t); }); }
+function registrationSeries(users, range, now) {
+  var times = validTimes(users.map(function(u){ return u && u.created; }));
+  var win = analyticsWindow(range, times, now);
+  return win.buckets.map(function(b){
+    return { period: b.label, registrations: times.filter(function(t){ return t >= b.start && t < b.end; }).length, totalMembers: times.filter(function(t){ return t < b.end; }).length };
+  });
+}
+function isLoginEntry(l) { return l && (l.type === 'auth.login' || /^(Admin )?logged in$/i.test(l.action || '')); }
+function loginSeries(logs, range, now) {
+  var logins = logs.filter(isLoginEntry).map(function(l){ return { t: new Date(l.timestamp).getTime(), who: l.actor }; }).filter(function(x){ return !isNaN(x.t); });
+  var win = analyticsWindow(range, logins.map(function(x){ return x.t; }), now);
+  return win.buckets.map(function(b){
+    var inside = logins.filter(function(x){ return x.t >= b.start && x.t < b.end; }); var who = {};
+    inside.forEach(function(x){ who[x.who] = true; });
+    return { period: b.label, logins: inside.length, uniqueMembers: Object.keys(who).length };
+  });
+}
+function memberActivityRows(users, now) {
+  var rows = { active: 0, dormant: 0, never: 0 };
+  users.forEach(function(u){
+    if (!u || u.disabled) return;
+    var last = u.lastLogin ? new Date(u.lastLogin).getTime() : NaN;
+    if (isNaN(last)) rows.never++; else if (now - last <= DORMANT_AFTER_DAYS * DAY_MS) rows.active++; else rows.dormant++;
+  });
+  return [
+    { status: t('analytics.active', { count: DORMANT_AFTER_DAYS }), members: rows.active },
+    { status: t('analytics.dormant'), members: rows.dormant },
+    { status: t('analytics.never'), members: rows.never }
+  ];
+}
+function accountStatusRows(users) {
+  return Object.keys(ROLES).map(function(r){
+    var mine = users.filter(function(u){ return u && normalizeRole(u.role) === r; });
+    return { role: t(ROLES[r].label), enabled: mine.filter(function(u){ return !u.disabled; }).length, disabled: mine.filter(function(u){ return u.disabled; }).length };
+  }).filter(function(row){ return row.enabled || row.disabled; });
+}
+// Charts are plain SVG strings so they need no library; text uses currentColor to follow dark mode.
+function svgColumnChart(rows, labelKey, valueKey, title) {
+  var W = 520, H = 200, L = 34, B = 24, T = 8;
+  var max = Math.max(1, Math.max.apply(null, rows.map(function(r){ return r[valueKey]; }).concat([0])));
+  var slot = rows.length ? (W - L) / rows.length : 0; var every = Math.max(1, Math.ceil(rows.length / 8));
+  var bars = rows.map(function(r, i){
+    var h = (r[valueKey] / max) * (H - B - T); var x = L + i * slot;
+    return '<rect x="' + (x + slot * 0.15).toFixed(1) + '" y="' + (H - B - h).toFixed(1) + '" width="' + Math.max(1, slot * 0.7).toFixed(1) + '" height="' + h.toFixed(1) + '" fill="#4b6cf7"><title>' + escapeHTML(r[labelKey] + ': ' + r[valueKey]) + '</title></rect>' +
+      (i % every === 0 ? '<text x="' + (x + slot / 2).toFixed(1) + '" y="' + (H - 8) + '" font-size="10" text-anchor="middle" fill="currentColor">' + escapeHTML(r[labelKey]) + '</text>' : '');
+  }).join('');
+  return '<svg viewBox="0 0 ' + W + ' ' + H + '" width="100%" role="img" aria-label="' + escapeHTML(title) + '" style="max-width:' + W + 'px">' +
+    '<line x1="' + L + '" y1="' + (H - B) + '" x2="' + W + '" y2="' + (H - B) + '" stroke="currentColor" stroke-opacity=".3" />' +
+    '<text x="' + (L - 4) + '" y="' + (T + 8) + '" font-size="10" text-anchor="end" fill="currentColor">' + max + '</text>' +
+    '<text x="' + (L - 4) + '" y="' + (H - B) + '" font-size="10" text-anchor="end" fill="currentColor">0</text>' + bars + '</svg>';
+}
+// horizontal bars, one row per category; series: [{ key, label, color }] are stacked left to right
+function svgBarChart(rows, labelKey, series, title) {
+  var W = 520, rowH = 26, L = 150, pad = 6, H = rows.length * rowH + 22;
+  var max = Math.max(1, Math.max.apply(null, rows.map(function(r){ return series.reduce(function(sum, s){ return sum + (r[s.key] || 0); }, 0); }).concat([0])));
+  var body = rows.map(function(r, i){
+    var y = i * rowH + pad; var x = L; var total = 0;
+    var segs = series.map(function(s){
+      var v = r[s.key] || 0; var w = (v / max) * (W - L - 40); total += v;
+      var seg = v ? '<rect x="' + x.toFixed(1) + '" y="' + y + '" width="' + w.toFixed(1) + '" height="' + (rowH - 2 * pad) + '" fill="' + s.color + '"><title>' + escapeHTML(r[labelKey] + ' – ' + s.label + ': ' + v) + '</title></rect>' : '';
+      x += w; return seg;
+    }).join('');
+    return '<text x="' + (L - 6) + '" y="' + (y + rowH / 2) + '" font-size="11" text-anchor="end" fill="currentColor">' + escapeHTML(r[labelKey]) + '</text>' + segs +
+      '<text x="' + (x + 4).toFixed(1) + '" y="' + (y + rowH / 2) + '" font-size="11" fill="currentColor">' + total + '</text>';
+  }).join('');
+  var legend = series.length > 1 ? series.map(function(s, i){ return '<rect x="' + (L + i * 110) + '" y="' + (H - 14) + '" width="10" height="10" fill="' + s.color + '" /><text x="' + (L + i * 110 + 14) + '" y="' + (H - 5) + '" font-size="11" fill="currentColor">' + escapeHTML(s.label) + '</text>'; }).join('') : '';
+  return '<svg viewBox="0 0 ' + W + ' ' + H + '" width="100%" role="img" aria-label="' + escapeHTML(title) + '" style="max-width:' + W + 'px">' + body + legend + '</svg>';
+}
+
+/* ---------- Login & lockout ---------- */
+var LOCKOUT_FREE_ATTEMPTS = 5;             // consecutive failures that trigger the first lock
+var LOCKOUT_BASE = 60 * 1000;              // first lock; doubles with every further failure
+var LOCKOUT_MAX = 60 * 60 * 1000;
+function lockoutRemaining(user) { return user && user.lockedUntil ? Math.max(0, user.lockedUntil - Date.now()) : 0; }
+// English, for the activity log; the UI uses the auth.locked message
+function formatWait(ms) { var min = Math.ceil(ms / 60000); return min <= 1 ? '1 minute' : min + ' minutes'; }
+// counts the failure on the record; returns the lock length in ms, or 0 while attempts remain
+function recordLoginFailure(user) {
+  user.failedLogins = (user.failedLogins || 0) + 1;
+  var over = user.failedLogins - LOCKOUT_FREE_ATTEMPTS;
+  if (over < 0) return 0;
+  var ms = Math.min(LOCKOUT_MAX, LOCKOUT_BASE * Math.pow(2, over));
+  user.lockedUntil = Date.now() + ms;
+  return ms;
+}
+// shared by the member and admin sign-in forms: { ok, user, msg }; code 'password' marks a wrong
+// password, 'unverified' a right one on an account whose email address isn't confirmed yet
+async function authenticate(email, password) {
+  var found = findUser(await DB.getUsers(), email);
+  if (!found) return { ok: false, msg: t('auth.noAccount') };
+  email = found.email;
+  if (found.disabled) return { ok: false, msg: t('auth.disabled') };
+  if (found.mustSetPassword) return { ok: false, msg: t('auth.mustSetPassword') };
+  var wait = lockoutRemaining(found);
+  if (wait) return { ok: false, msg: t('auth.locked', { count: Math.ceil(wait / 60000) }) };
+  var res;
+  try { res = await verifyPassword(password, found); } catch (e) { return { ok: false, msg: t('auth.invalidData') }; }
+  if (!res.ok) {
+    var lockMs = 0;
+    var failed = await updateUser(email, function (u) { lockMs = recordLoginFailure(u); });
+    if (lockMs) await DB.logActivity({ type: 'auth.lockout', actor: 'system', target: email, action: 'Account locked for ' + formatWait(lockMs) + ' after ' + failed.user.failedLogins + ' failed logins', details: { failedLogins: failed.user.failedLogins, lockedUntil: new Date(failed.user.lockedUntil).toISOString() } });
+    if (failed.ok && lockoutRemaining(failed.user)) return { ok: false, msg: t('auth.locked', { count: Math.ceil(lockoutRemaining(failed.user) / 60000) }) };
+    return { ok: false, msg: t('auth.wrongPassword'), code: 'password' };
+  }
+  if (found.emailVerified === false) return { ok: false, msg: t('auth.unverified'), code: 'unverified' };
+  var rehashed = null;
+  if (res.needsRehash) { rehashed = {}; await setPassword(rehashed, password); }
+  var done = await updateUser(email, function (u) {
+    if (u.passHash !== found.passHash) return t('auth.passwordJustChanged');
+    if (rehashed) { u.passHash = rehashed.passHash; u.salt = rehashed.salt; delete u.pass; }
+    if (sameEmail(u.email, DEFAULT_ADMIN_EMAIL) && password === DEFAULT_ADMIN_PASSWORD) u.mustChangePassword = true;
+    delete u.failedLogins; delete u.lockedUntil;
+    u.lastLogin = new Date().toISOString();
+  });
+  if (!done.ok) return { ok: false, msg: done.msg };
+  if (rehashed) await DB.logActivity({ type: 'auth.rehash', actor: email, target: email, action: 'Rehashed credential (' + PASSWORD_SCHEME + ')' });
+  return { ok: true, user: done.user };
+}
+
+/* ---------- Session helpers ---------- */
+var SESSION_TTL = 8 * 60 * 60 * 1000;    // absolute lifetime from login
+var SESSION_IDLE = 30 * 60 * 1000;       // sign out after this long without activity
+var SESSION_TOUCH_EVERY = 30 * 1000;     // throttle lastActive writes
+var Session = {
+  read: function () { try { return JSON.parse(localStorage.getItem('ap_currentUser') || 'null'); } catch (e) { return null; } },
+  write: function (s) { try { localStorage.setItem('ap_currentUser', JSON.stringify(s)); } catch (e) { console.error('session write failed', e); } },
+  start: function (user) {
+    var now = Date.now();
+    var s = { email: user.email, name: user.name, role: user.role || 'user', issuedAt: now, expiresAt: now + SESSION_TTL, lastActive: now, mustChangePassword: !!user.mustChangePassword };
+    Session.write(s);
+    return s;
+  },
+  // returns the live session or null; an expired one is cleared and logged
+  get: function () {
+    var s = Session.read();
+    if (!s || !s.email) return null;
+    var now = Date.now();
+    var reason = !s.issuedAt || !s.expiresAt ? 'invalid' : (now >= s.expiresAt ? 'expired' : (now - (s.lastActive || s.issuedAt) >= SESSION_IDLE ? 'idle' : ''));
+    if (!reason) return s;
+    localStorage.removeItem('ap_currentUser');
+    if (reason !== 'invalid') DB.logActivity({ type: 'auth.session_end', actor: s.email, target: s.email, action: reason === 'idle' ? 'Session timed out (idle)' : 'Session expired', details: { reason: reason } });
+    return null;
+  },
+  touch: function () {
+    var s = Session.get();
+    if (s && Date.now() - (s.lastActive || 0) >= SESSION_TOUCH_EVERY) { s.lastActive = Date.now(); Session.write(s); }
+    return s;
+  },
+  update: function (fields) { var s = Session.get(); if (s) { Object.assign(s, fields); Session.write(s); } return s; },
+  end: function () {
+    var s = Session.read();
+    localStorage.removeItem('ap_currentUser');
+    if (s && s.email) DB.logActivity({ type: 'auth.logout', actor: s.email, target: s.email, action: 'Logged out' });
+  }
+};
+function getCurrentUser() { return Session.get(); }
+async function roleSatisfies(session, role) {
+  if (!role) return true;
+  if (!session) return false;
+  if (role === 'member') return true;
+  return normalizeRole(await currentRole()) === role;
+}
+// Pages opt in with <body data-require-role="member|admin"> or data-require-permission="<perm>".
+// data-guard="inline" keeps the page (so it can show its own sign-in form) instead of redirecting.
+async function guardPage() {
+  var body = document.body; var role = body ? body.dataset.requireRole : ''; var perm = body ? body.dataset.requirePermission : '';
+  var s = getCurrentUser();
+  var here = window.location.pathname.split('/').pop() || 'index.html';
+  // a forced password change (e.g. the seeded admin) blocks every other page until it's done
+  if (s && s.mustChangePassword && here !== 'profile.html') { window.location.href = 'profile.html?force=1'; return null; }
+  if (await roleSatisfies(s, role) && (!perm || (s && can(await currentRole(), perm)))) return s;
+  if (body && body.dataset.guard === 'inline') return null;
+  window.location.href = 'login.html?next=' + encodeURIComponent(here + window.location.search);
+  return null;
+}
+function safeNextPage(search) {
+  var next = new URLSearchParams(search || '').get('next') || '';
+  return /^[A-Za-z0-9_-]+\.html(\?[^#]*)?$/.test(next) ? next : '';
+}
+function renderSessionNav() {
   try {
-    var blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    var url = URL.createObjectURL(blob);
-    var a = document.createElement('a');
-    a.href = url; a.download = filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
-  } catch (e) { console.error('downloadCSV failed', e); alert('CSV download failed: ' + (e && e.message)); }
+    var ul = $('nav ul'); if (!ul) return;
+    var s = getCurrentUser();
+    $$('nav ul .nav-session').forEach(function(li){ li.remove(); });
+    var loginLi = null;
+    $$('nav ul li').forEach(function(li){ if (li.querySelector('a[href="login.html"]')) loginLi = li; });
+    $$('nav ul a[href="profile.html"]').forEach(function(a){ if (a.parentNode) a.parentNode.style.display = s ? '' : 'none'; });
+    if (loginLi) loginLi.style.display = s ? 'none' : '';
+    if (!s) return;
+    var who = document.createElement('li'); who.className = 'nav-session';
+    who.innerHTML = '<a href="profile.html" class="nav-user" title="' + escapeHTML(s.email) + '">👤 ' + escapeHTML(s.name || s.email) + '</a>';
+    var out = document.createElement('li'); out.className = 'nav-session';
+    out.innerHTML = '<a href="#" id="logoutLink">' + escapeHTML(t('nav.logout')) + '</a>';
+    ul.appendChild(who); ul.appendChild(out);
+    out.querySelector('a').addEventListener('click', function(ev){ ev.preventDefault(); logout(); });
+  } catch (e) { console.error('renderSessionNav failed', e); }
+}
+function logout() {
+  Session.end();
+  window.location.href = 'index.html';
+}
+
+/* ---------- Roles & permissions ---------- */
+// label is a catalog key. Permissions that no role lists here (e.g. analytics.export, data.backup)
+// belong to admins only, through '*'.
+var ROLES = {
+  admin:     { label: 'role.admin', permissions: ['*'] },
+  moderator: { label: 'role.moderator', permissions: ['admin.access', 'users.view', 'users.toggle', 'announcements.post', 'messages.manage', 'jobs.approve'] },
+  organizer: { label: 'role.organizer', permissions: ['admin.access', 'events.manage', 'events.export'] },
+  classrep:  { label: 'role.classrep', permissions: ['admin.access', 'announcements.post'] },
+  member:    { label: 'role.member', permissions: [] }
+};
+var ROLE_ALIASES = { user: 'member' };   // accounts created before roles existed
+function normalizeRole(role) { role = ROLE_ALIASES[role] || role; return ROLES[role] ? role : 'member'; }
+function can(role, perm) { if (!role) return false; var p = ROLES[normalizeRole(role)].permissions; return p.indexOf('*') >= 0 || p.indexOf(perm) >= 0; }
+// role is read from the stored account, not the session, so role changes and disabling apply immediately
+async function currentRole() {
+  var s = getCurrentUser(); if (!s) return null;
+  var u = findUser(await DB.getUsers(), s.email);
+  return u && !u.disabled ? normalizeRole(u.role) : null;
+}
+async function authorize(perm, target) {
+  var s = getCurrentUser();
+  var ok = can(await currentRole(), perm);
+  await DB.logActivity({ type: ok ? 'permission.granted' : 'permission.denied', actor: s ? s.email : 'anonymous', target: target || '', action: 'Permission ' + (ok ? 'granted' : 'denied') + ': ' + perm + (target ? ' (' + target + ')' : ''), details: { permission: perm } });
+  return ok;
+}
+function activeAdminCount(users) { return users.filter(function(u){ return u && normalizeRole(u.role) === 'admin' && !u.disabled; }).length; }
+async function assignRole(email, role, actor) {
+  if (!ROLES[role]) return { ok: false, msg: t('role.unknown') };
+  if (!await authorize('users.assignRole', email)) return { ok: false, msg: t('role.noPermission') };
+  var before;
+  var res = await updateUser(email, function (u, users) {
+    before = normalizeRole(u.role);
+    if (before === role) return false;
+    if (before === 'admin' && !u.disabled && activeAdminCount(users) <= 1) return t('role.lastAdmin');
+    u.role = role;
+  });
+  if (!res.ok) return { ok: false, msg: res.msg };
+  if (before === role) return { ok: true };
+  await DB.logActivity({ type: 'user.role', actor: actor, target: email, action: 'Changed role of ' + email + ' from ' + before + ' to ' + role, details: { before: { role: before }, after: { role: role } } });
+  return { ok: true };
+}
+async function toggleUserDisabled(email, actor) {
+  if (!await authorize('users.toggle', email)) return { ok: false, msg: t('users.noTogglePermission') };
+  var mayManageAdmins = can(await currentRole(), 'users.assignRole');
+  var res = await updateUser(email, function (u, users) {
+    if (normalizeRole(u.role) === 'admin') {
+      if (!mayManageAdmins) return t('users.adminsOnly');
+      if (!u.disabled && activeAdminCount(users) <= 1) return t('users.lastAdmin');
+    }
+    u.disabled = !u.disabled;
+  });
+  if (!res.ok) return { ok: false, msg: res.msg };
+  var u = res.user;
+  await DB.logActivity({ type: 'user.status', actor: actor, target: email, action: (u.disabled ? 'Disabled ' : 'Enabled ') + email, details: { before: { disabled: !u.disabled }, after: { disabled: u.disabled } } });
+  return { ok: true };
+}
+
+/* ---------- Profile helpers ---------- */
+var PROFILE_PHOTO_MAX = 200 * 1024;
+// a photo is shown to everyone browsing the directory, so only https: links and uploaded images
+// (data:image/..., at most PROFILE_PHOTO_MAX) are allowed; '' when the value is fine or empty
+function profilePhotoError(photo) {
+  photo = String(photo || '').trim();
+  if (!photo) return '';
+  if (/^data:image\/[\w.+-]+;base64,[A-Za-z0-9+\/=]+$/i.test(photo)) {
+    var bytes = Math.floor((photo.length - photo.indexOf(',') - 1) * 3 / 4);
+    return bytes > PROFILE_PHOTO_MAX ? t('profile.photoSize', { size: Math.round(PROFILE_PHOTO_MAX / 1024) }) : '';
+  }
+  try { if (new URL(photo).protocol === 'https:') return ''; } catch (e) {}
+  return t('profile.photoInvalid');
+}
+async function saveProfile(email, fields) {
+  var name = (fields.name || '').trim();
+  if (!name) return { ok: false, msg: t('form.nameRequired') };
+  var photoErr = fields.photo !== undefined ? profilePhotoError(fields.photo) : '';
+  if (photoErr) return { ok: false, msg: photoErr, field: 'photo' };
+  if (fields.gradYear !== null && fields.gradYear !== undefined && fields.gradYear !== '' && !/^(19|20)\d{2}$/.test(String(fields.gradYear))) return { ok: false, msg: t('form.gradYearInvalid') };
+  var before;
+  var res = await updateUser(email, function (u) { before = u.name; u.name = name; });
+  if (!res.ok) return { ok: false, msg: res.msg };
+  var rec = { email: email, name: name };
+  ['bio','photo','department','company','title','city'].forEach(function(k){ if (fields[k] !== undefined) rec[k] = String(fields[k] || '').trim(); });
+  if (fields.gradYear !== undefined) rec.gradYear = fields.gradYear ? parseInt(fields.gradYear, 10) : null;
+  if (fields.skills !== undefined) rec.skills = String(fields.skills || '').split(',').map(function(s){ return s.trim(); }).filter(Boolean);
+  if (fields.visible !== undefined) rec.visible = !!fields.visible;
+  await DB.upsertAlumnus(rec);
+  var cur = getCurrentUser();
+  if (cur && sameEmail(cur.email, email)) Session.update({ name: name });
+  await DB.logActivity({ type: 'user.profile', actor: email, target: email, action: before !== name ? 'Updated profile (name: ' + before + ' → ' + name + ')' : 'Updated profile', details: before !== name ? { before: { name: before }, after: { name: name } } : null });
+  return { ok: true };
+}
+async function changePassword(email, current, next, confirmVal) {
+  var u = findUser(await DB.getUsers(), email);
+  if (!u || !u.salt || !parsePasswordHash(u.passHash)) return { ok: false, msg: t('auth.invalidData') };
+  if (!current) return { ok: false, msg: t('password.currentRequired') };
+  // wrong current passwords count towards the same lockout as failed sign-ins, so an open session
+  // can't be used to guess the password
+  var wait = lockoutRemaining(u);
+  if (wait) return { ok: false, msg: t('auth.locked', { count: Math.ceil(wait / 60000) }) };
+  var chk = await verifyPassword(current, u);
+  if (!chk.ok) {
+    var lockMs = 0;
+    var failed = await updateUser(email, function (x) { lockMs = recordLoginFailure(x); });
+    await DB.logActivity({ type: 'user.password', actor: u.email, target: u.email, action: 'Password change refused: wrong current password' });
+    if (lockMs) await DB.logActivity({ type: 'auth.lockout', actor: 'system', target: u.email, action: 'Account locked for ' + formatWait(lockMs) + ' after ' + failed.user.failedLogins + ' failed password checks', details: { failedLogins: failed.user.failedLogins, lockedUntil: new Date(failed.user.lockedUntil).toISOString() } });
+    if (failed.ok && lockoutRemaining(failed.user)) return { ok: false, msg: t('auth.locked', { count: Math.ceil(lockoutRemaining(failed.user) / 60000) }) };
+    return { ok: false, msg: t('password.currentWrong') };
+  }
+  if (!evaluatePassword(next).valid) return { ok: false, msg: t('password.rules') };
+  if (next !== confirmVal) return { ok: false, msg: t('password.mismatch') };
+  if (next === current) return { ok: false, msg: t('password.same') };
+  var fresh = {}; await setPassword(fresh, next);
+  var forced;
+  var res = await updateUser(email, function (x) {
+    if (x.passHash !== u.passHash) return t('password.changedElsewhere');
+    x.passHash = fresh.passHash; x.salt = fresh.salt; delete x.pass; x.passChanged = new Date().toISOString();
+    delete x.failedLogins; delete x.lockedUntil;
+    forced = !!x.mustChangePassword; delete x.mustChangePassword;
+  });
+  if (!res.ok) return { ok: false, msg: res.msg };
+  if (forced) Session.update({ mustChangePassword: false });
+  await DB.logActivity({ type: 'user.password', actor: email, target: email, action: 'Changed password', details: forced ? { forced: true } : null });
+  return { ok: true };
+}
+
+/* ---------- Email verification & password reset ---------- */
+// Links in these emails carry a random token. The account only keeps its SHA-256 and expiry
+// (tokens.verify / tokens.reset); using a link deletes the token and asking again replaces it,
+// so each link works once and only the newest one works.
+var VERIFY_TOKEN_TTL = 24 * 60 * 60 * 1000;
+var RESET_TOKEN_TTL = 30 * 60 * 1000;
+var TOKEN_RESEND_GAP = 60 * 1000;          // at most one new link per account and purpose in this time
+function accountLink(action, email, token) {
+  var url = new URL('login.html', window.location.href);
+  url.search = '';
+  url.searchParams.set(action, token); url.searchParams.set('email', email);
+  return url.toString();
+}
+// -> { ok, token, user }, or { ok: false, msg } when the account is missing or a link just went out
+async function issueAccountToken(email, purpose, ttl) {
+  var token = generateSalt(32); var hash = await sha256Hex(token); var now = Date.now();
+  var res = await updateUser(email, function (u) {
+    var prev = u.tokens && u.tokens[purpose];
+    if (prev && now - prev.issued < TOKEN_RESEND_GAP) return t('token.tooSoon');
+    u.tokens = Object.assign({}, u.tokens); u.tokens[purpose] = { hash: hash, issued: now, expires: now + ttl };
+  });
+  return res.ok ? { ok: true, token: token, user: res.user } : { ok: false, msg: res.msg };
+}
+// checks and deletes the token in the same write; apply(u) makes the change the link is for and,
+// like an updateUser callback, may return an error message to abort (the token then stays)
+async function consumeAccountToken(email, purpose, token, apply) {
+  var hash = await sha256Hex(token || '');
+  var res = await updateUser(email, function (u) {
+    var rec = u.tokens && u.tokens[purpose];
+    if (!rec || !safeEqual(rec.hash, hash)) return t('token.invalid');
+    if (Date.now() > rec.expires) return t('token.expired');
+    u.tokens = Object.assign({}, u.tokens); delete u.tokens[purpose];
+    return apply(u);
+  });
+  if (!res.user) return { ok: false, msg: t('token.invalid') };
+  return res;
+}
+// Both senders answer { ok: true } for unknown or already verified addresses, so the forms can't be
+// used to find out who has an account; { ok: false, msg } only when the transport failed.
+async function sendVerificationEmail(email) {
+  var u = findUser(await DB.getUsers(), email);
+  if (!u || u.disabled || u.emailVerified !== false) return { ok: true, sent: false };
+  email = u.email;
+  var issued = await issueAccountToken(email, 'verify', VERIFY_TOKEN_TTL);
+  if (!issued.ok) return { ok: true, sent: false };
+  var sent = await Mail.send({ to: email, kind: 'verify', subject: t('mail.verify.subject'),
+    text: t('mail.verify.body', { name: u.name || email, link: accountLink('verify', email, issued.token), count: VERIFY_TOKEN_TTL / 3600000 }) });
+  return sent.ok ? { ok: true, sent: true } : sent;
+}
+// accounts made by a CSV import have no password yet; their link sets the first one
+async function requestPasswordReset(email) {
+  var u = findUser(await DB.getUsers(), email);
+  if (!u || u.disabled) return { ok: true, sent: false };
+  email = u.email;
+  var setup = !!u.mustSetPassword;
+  var issued = await issueAccountToken(email, 'reset', setup ? VERIFY_TOKEN_TTL : RESET_TOKEN_TTL);
+  if (!issued.ok) return { ok: true, sent: false };
+  var link = accountLink('reset', email, issued.token);
+  var sent = await Mail.send(setup ?
+    { to: email, kind: 'setup', subject: t('mail.setup.subject'), text: t('mail.setup.body', { name: u.name || email, email: email, link: link, count: VERIFY_TOKEN_TTL / 3600000 }) } :
+    { to: email, kind: 'reset', subject: t('mail.reset.subject'), text: t('mail.reset.body', { name: u.name || email, email: email, link: link, count: RESET_TOKEN_TTL / 60000 }) });
+  if (!sent.ok) return sent;
+  await DB.logActivity({ type: 'auth.reset_request', actor: email, target: email, action: setup ? 'Sent account setup link' : 'Sent password reset link' });
+  return { ok: true, sent: true };
+}
+// Sign Up never sets the password of an imported account (anyone could type that address);
+// the admin or the member asks for a setup link and whoever reads that mailbox picks it
+async function sendAccountSetupLink(email, actor) {
+  if (!await authorize('users.create', email)) return { ok: false, msg: t('import.noPermission') };
+  var u = findUser(await DB.getUsers(), email);
+  if (!u) return { ok: false, msg: t('account.notFound') };
+  if (!u.mustSetPassword) return { ok: false, msg: t('admin.setupNotNeeded') };
+  if (u.disabled) return { ok: false, msg: t('auth.disabled') };
+  var res = await requestPasswordReset(u.email);
+  if (!res.ok) return res;
+  if (!res.sent) return { ok: false, msg: t('token.tooSoon') };
+  await DB.logActivity({ type: 'user.setup_link', actor: actor, target: u.email, action: 'Sent account setup link to ' + u.email });
+  return { ok: true };
+}
+async function verifyEmail(email, token) {
+  var res = await consumeAccountToken(email, 'verify', token, function (u) { u.emailVerified = true; u.emailVerifiedAt = new Date().toISOString(); });
+  if (!res.ok) return { ok: false, msg: res.msg };
+  await DB.logActivity({ type: 'user.verify_email', actor: email, target: email, action: 'Verified email address' });
+  return { ok: true };
+}
+async function resetPassword(email, token, next, confirmVal) {
+  if (!evaluatePassword(next).valid) return { ok: false, msg: t('password.rules') };
+  if (next !== confirmVal) return { ok: false, msg: t('password.mismatch') };
+  var fresh = {}; await setPassword(fresh, next);
+  var setup;
+  var res = await consumeAccountToken(email, 'reset', token, function (u) {
+    if (u.disabled) return t('auth.disabled');
+    setup = !!u.mustSetPassword;
+    u.passHash = fresh.passHash; u.salt = fresh.salt; delete u.pass; u.passChanged = new Date().toISOString();
+    delete u.mustSetPassword; delete u.failedLogins; delete u.lockedUntil;
+    u.emailVerified = true;   // the link reached this mailbox
+  });
+  if (!res.ok) return { ok: false, msg: res.msg };
+  await DB.logActivity({ type: 'user.password', actor: email, target: email, action: setup ? 'Set password for imported account' : 'Reset password by email link', details: { via: 'email' } });
+  return { ok: true };
 }
 
 /* ---------- Password input helpers ---------- */
@@ -152,9 +3262,38 @@ function showFormError(message, selectorFallback) {
 /* ---------- DOM ready ---------- */
 document.addEventListener('DOMContentLoaded', function () {
   (async function main() {
+    translatePage();
+    try {
+      await runMigrations();
+    } catch(e) { console.error('runMigrations error', e); }
     try {
       await ensureAdmin();
     } catch(e) { console.error('ensureAdmin error', e); }
+    await ensureDirectory();
+    await ensureEvents();
+
+    // Session: page guard, nav state and idle tracking
+    var session = null;
+    try {
+      session = await guardPage();
+      renderSessionNav();
+      ['click','keydown','scroll','touchstart'].forEach(function(t){ document.addEventListener(t, function(){ Session.touch(); }, { passive: true }); });
+      setInterval(function(){
+        if (!session || Session.get()) return;
+        // expired or logged out elsewhere: re-run the guard so protected pages leave
+        session = null; renderSessionNav();
+        if (document.body.dataset.requireRole) window.location.reload();
+      }, 60 * 1000);
+      // sign-in or sign-out in another tab: update the nav, and re-guard pages that need a session
+      DB.onChange(function(keys){
+        if (!changedAny(keys, ['ap_currentUser'])) return;
+        var now = Session.get();
+        renderSessionNav();
+        if ((now && now.email) === (session && session.email)) return;
+        session = now;
+        if (document.body.dataset.requireRole || document.body.dataset.requirePermission) window.location.reload();
+      });
+    } catch (e) { console.error('session init failed', e); }
 
     // Dark toggle
     try {
@@ -165,24 +3304,183 @@ document.addEventListener('DOMContentLoaded', function () {
       }
     } catch (e) { console.error('dark toggle init failed', e); }
 
+    // Language switcher, next to the dark toggle; the page reloads so every string is redrawn
+    try {
+      var darkBtn = $('#darkToggle');
+      if (darkBtn && !$('#langSelect')) {
+        var langSelect = document.createElement('select');
+        langSelect.id = 'langSelect'; langSelect.className = 'toggle lang-select'; langSelect.setAttribute('aria-label', t('nav.language'));
+        langSelect.innerHTML = Object.keys(I18N).map(function(l){ return '<option value="' + l + '"' + (l === currentLocale() ? ' selected' : '') + '>' + escapeHTML(I18N[l]['locale.name']) + '</option>'; }).join('');
+        darkBtn.parentNode.insertBefore(langSelect, darkBtn.nextSibling);
+        langSelect.addEventListener('change', function(){ setLocale(langSelect.value); window.location.reload(); });
+      }
+    } catch (e) { console.error('language switcher init failed', e); }
+
     // Mobile menu
     try {
       var menuBtn = $('#menuBtn'), navUl = $('nav ul');
       if (menuBtn && navUl) menuBtn.addEventListener('click', function(){ navUl.classList.toggle('show'); });
     } catch (e) { console.error('menu init failed', e); }
 
-    // Render announcements on pages that have #announcements
+    // Render announcements on pages that have #announcements (and again when another tab changes them)
     try {
       var annContainer = $('#announcements');
       if (annContainer) {
-        var anns = DB.getAnnouncements();
-        if (!anns || anns.length === 0) annContainer.innerHTML = '<p class="small-muted">No announcements yet.</p>';
-        else annContainer.innerHTML = anns.map(function(a){
-          return '<div class="card" style="text-align:left;margin-bottom:10px"><strong>' + (a.by||'') + '</strong> <span style="opacity:.6;font-size:.9rem">• ' + (new Date(a.timestamp).toLocaleString()) + '</span><div style="margin-top:6px">' + (a.text||'') + '</div></div>';
-        }).join('');
+        var renderAnnouncements = async function () {
+          try {
+            var anns = visibleAnnouncements(await DB.getAnnouncements());
+            if (!anns || anns.length === 0) annContainer.innerHTML = '<p class="small-muted">' + t('ann.none') + '</p>';
+            else annContainer.innerHTML = anns.map(function(a){
+              return '<div class="card announcement" style="text-align:left;margin-bottom:10px">' + (a.pinned ? '<span class="small-muted" title="' + escapeHTML(t('ann.pinned')) + '">📌 </span>' : '') + '<strong>' + escapeHTML(a.by) + '</strong> <span style="opacity:.6;font-size:.9rem">• ' + escapeHTML(formatDate(a.publishAt || a.timestamp)) + '</span><div class="rich-text" style="margin-top:6px">' + markdownToHTML(a.text) + '</div></div>';
+            }).join('');
+          } catch (e) { console.error('render announcements failed', e); }
+        };
+        await renderAnnouncements();
+        DB.onChange(function(keys){ if (changedAny(keys, ['ap_ann'])) renderAnnouncements(); });
       }
     } catch (e) { console.error('render announcements failed', e); }
 
+    /* ---------- Alumni directory ---------- */
+    try {
+      var dirList = $('#alumniList');
+      if (dirList) {
+        var dirSearch = $('#alumniSearch'), dirSort = $('#dirSort'), dirPager = $('#dirPager'), dirCount = $('#dirCount');
+        var dirState = parseDirectoryQuery(window.location.search);
+        var facetSelects = { batch: $('#fBatch'), dept: $('#fDept'), company: $('#fCompany'), city: $('#fCity') };
+
+        function fillFacets(entries) {
+          Object.keys(facetSelects).forEach(function(k){
+            var sel = facetSelects[k]; if (!sel) return;
+            var first = sel.options.length ? sel.options[0].outerHTML : '<option value="">' + escapeHTML(t('common.all')) + '</option>';
+            sel.innerHTML = first + facetValues(entries, DIRECTORY_FACETS[k]).map(function(v){ return '<option value="' + escapeHTML(v) + '">' + escapeHTML(v) + '</option>'; }).join('');
+            sel.value = dirState[k];
+            if (sel.value !== dirState[k]) dirState[k] = '';
+          });
+        }
+
+        function alumnusCard(a) {
+          var avatar = a.photo && !profilePhotoError(a.photo) ? '<img src="' + escapeHTML(a.photo) + '" alt="">' : '<div class="alumni-avatar" aria-hidden="true">' + escapeHTML(initials(a.name)) + '</div>';
+          var role = [a.title, a.company].filter(Boolean).join(', ');
+          var meta = [a.gradYear ? t('dir.batch', { year: a.gradYear }) : '', a.department, a.city].filter(Boolean).join(' • ');
+          var skills = (a.skills || []).map(function(s){ return '<span class="skill-tag">' + escapeHTML(s) + '</span>'; }).join('');
+          return '<div class="alumni-card">' + avatar + '<h3>' + escapeHTML(a.name) + '</h3>' +
+            (role ? '<p>' + escapeHTML(role) + '</p>' : '') +
+            (meta ? '<p class="small-muted" style="margin-top:6px">' + escapeHTML(meta) + '</p>' : '') +
+            (skills ? '<div style="margin-top:8px">' + skills + '</div>' : '') + '</div>';
+        }
+
+        function renderDirectory() {
+          try {
+            var result = paginate(sortAlumni(filterAlumni(dirEntries, dirState), dirState.sort), dirState.page, DIRECTORY_PAGE_SIZE);
+            dirState.page = result.page;
+            dirList.innerHTML = result.items.length ? result.items.map(alumnusCard).join('') : '<p class="small-muted">' + t('dir.none') + '</p>';
+            if (dirCount) dirCount.textContent = t('dir.count', { count: result.total });
+            if (dirPager) {
+              dirPager.innerHTML = result.pages > 1 ?
+                '<button type="button" data-page="' + (result.page - 1) + '"' + (result.page <= 1 ? ' disabled' : '') + '>‹ ' + t('dir.prev') + '</button>' +
+                '<span class="small-muted">' + t('dir.page', { page: result.page, pages: result.pages }) + '</span>' +
+                '<button type="button" data-page="' + (result.page + 1) + '"' + (result.page >= result.pages ? ' disabled' : '') + '>' + t('dir.next') + ' ›</button>' : '';
+            }
+            var qs = buildDirectoryQuery(dirState);
+            if (qs !== window.location.search) history.replaceState(null, '', window.location.pathname + qs);
+          } catch (e) { console.error('renderDirectory failed', e); }
+        }
+
+        var dirEntries = await directoryEntries();
+        fillFacets(dirEntries);
+        if (dirSearch) {
+          dirSearch.value = dirState.q;
+          dirSearch.addEventListener('input', function(){ dirState.q = dirSearch.value; dirState.page = 1; renderDirectory(); });
+        }
+        if (dirSort) {
+          dirSort.value = dirState.sort;
+          dirSort.addEventListener('change', function(){ dirState.sort = dirSort.value; dirState.page = 1; renderDirectory(); });
+        }
+        Object.keys(facetSelects).forEach(function(k){
+          var sel = facetSelects[k]; if (!sel) return;
+          sel.addEventListener('change', function(){ dirState[k] = sel.value; dirState.page = 1; renderDirectory(); });
+        });
+        if (dirPager) dirPager.addEventListener('click', function(ev){
+          var btn = ev.target.closest ? ev.target.closest('button[data-page]') : null;
+          if (!btn || btn.disabled) return;
+          dirState.page = parseInt(btn.dataset.page, 10) || 1; renderDirectory();
+          dirList.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+        var dirReset = $('#dirReset');
+        if (dirReset) dirReset.addEventListener('click', function(){
+          dirState = parseDirectoryQuery('');
+          if (dirSearch) dirSearch.value = ''; if (dirSort) dirSort.value = 'name';
+          Object.keys(facetSelects).forEach(function(k){ if (facetSelects[k]) facetSelects[k].value = ''; });
+          renderDirectory();
+        });
+        renderDirectory();
+      }
+    } catch (e) { console.error('Alumni directory block failed', e); }
+
+    /* ---------- Events page ---------- */
+    try {
+      var eventList = $('#eventList');
+      if (eventList) {
+        var eventArchive = $('#eventArchive'), eventSearch = $('#eventSearch');
+
+        function eventCard(ev, past) {
+          var me = getCurrentUser();
+          var d = new Date(ev.start);
+          var going = (ev.attendees || []).length;
+          var seats = ev.capacity ? t('events.goingOf', { count: going, capacity: ev.capacity }) : t('events.going', { count: going });
+          if ((ev.waitlist || []).length) seats += ' • ' + t('events.waitlisted', { count: ev.waitlist.length });
+          var status = me ? rsvpStatus(ev, me.email) : '';
+          var actions = '<button type="button" class="toggle ev-ics" data-id="' + escapeHTML(ev.id) + '">📅 ' + t('events.addToCalendar') + '</button>';
+          if (!past && ev.status !== 'cancelled') {
+            if (!me) actions += '<a href="login.html" class="small-muted">' + t('events.loginToRsvp') + '</a>';
+            else if (status) actions += '<button type="button" class="toggle ev-unrsvp" data-id="' + escapeHTML(ev.id) + '">' + t('events.cancelRsvp') + '</button>';
+            else actions += '<button type="button" class="primary-btn ev-rsvp" data-id="' + escapeHTML(ev.id) + '" style="width:auto;padding:6px 12px;margin-top:0">' + t(ev.capacity && going >= ev.capacity ? 'events.joinWaitlist' : 'events.rsvp') + '</button>';
+          }
+          var badge = ev.status === 'cancelled' ? '<span class="ev-badge cancelled">' + t('events.cancelled') + '</span>' :
+            status === 'going' ? '<span class="ev-badge">' + t('events.youreGoing') + '</span>' :
+            status ? '<span class="ev-badge">' + escapeHTML(t('events.waitlistPos', { pos: status.split(':')[1] })) + '</span>' : '';
+          return '<div class="event-card' + (ev.status === 'cancelled' ? ' is-cancelled' : '') + '" data-search="' + escapeHTML([ev.title, ev.description, ev.location].join(' ').toLowerCase()) + '">' +
+            '<div class="ev-date"><span>' + escapeHTML(formatDate(d, 'month')) + '</span><strong>' + d.getDate() + '</strong><span>' + d.getFullYear() + '</span></div>' +
+            '<div class="info"><h3>' + escapeHTML(ev.title) + '</h3>' + badge +
+            '<p class="small-muted">' + escapeHTML(formatDate(d)) + (ev.location ? ' • ' + escapeHTML(ev.location) : '') + '</p>' +
+            '<p style="margin-top:6px">' + escapeHTML(ev.description) + '</p>' +
+            '<p class="small-muted" style="margin-top:6px">' + escapeHTML(seats) + '</p>' +
+            '<div class="ev-actions">' + actions + '</div></div></div>';
+        }
+
+        async function renderEvents() {
+          try {
+            var events = (await DB.getEvents()).slice().sort(function(a, b){ return new Date(a.start) - new Date(b.start); });
+            var upcoming = events.filter(function(ev){ return !isPastEvent(ev); });
+            var past = events.filter(function(ev){ return isPastEvent(ev); }).reverse();
+            eventList.innerHTML = upcoming.length ? upcoming.map(function(ev){ return eventCard(ev, false); }).join('') : '<p class="small-muted">' + t('events.noneUpcoming') + '</p>';
+            if (eventArchive) eventArchive.innerHTML = past.length ? past.map(function(ev){ return eventCard(ev, true); }).join('') : '<p class="small-muted">' + t('events.nonePast') + '</p>';
+            applyEventSearch();
+          } catch (e) { console.error('renderEvents failed', e); }
+        }
+        function applyEventSearch() {
+          var term = eventSearch ? (eventSearch.value || '').trim().toLowerCase() : '';
+          $$('.event-card').forEach(function(card){ card.style.display = !term || (card.dataset.search || '').indexOf(term) >= 0 ? '' : 'none'; });
+        }
+
+        if (eventSearch) eventSearch.addEventListener('input', applyEventSearch);
+        document.addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('.ev-ics, .ev-rsvp, .ev-unrsvp') : null;
+            if (!btn) return;
+            var found = findEvent(await DB.getEvents(), btn.dataset.id); if (!found) return;
+            if (btn.classList.contains('ev-ics')) { downloadFile(eventFilename(found, 'ics'), eventToICS(found), 'text/calendar;charset=utf-8;'); return; }
+            var me = getCurrentUser(); if (!me) { window.location.href = 'login.html'; return; }
+            var res = btn.classList.contains('ev-rsvp') ? await rsvpEvent(found.id, me) : await cancelRsvp(found.id, me.email);
+            if (!res.ok) alert(res.msg);
+            await renderEvents();
+          } catch (e) { console.error('event action failed', e); }
+        });
+        await renderEvents();
+        DB.onChange(function(keys){ if (changedAny(keys, ['ap_events'])) renderEvents(); });
+      }
+    } catch (e) { console.error('Events block failed', e); }
+
     /* ---------- Login / Signup ---------- */
     try {
       var formBox = $('#formBox');
@@ -193,6 +3491,9 @@ document.addEventListener('DOMContentLoaded', function () {
         var toggleForm = $('#toggleForm');
         var formTitle = $('#formTitle');
         var confirmWrapper = $('#confirmWrapper');
+        var forgotLink = $('#forgotLink');
+        var resendVerify = $('#resendVerify');
+        var resetToken = null;   // set while the form is choosing a new password from an emailed link
 
         // Strength meter binding
         function bindStrength() {
@@ -234,24 +3535,35 @@ document.addEventListener('DOMContentLoaded', function () {
           toggleForm.addEventListener('click', function(){
             try {
               showFormError(''); showFieldError('#emailError',''); showFieldError('#passwordError',''); showFieldError('#confirmError','');
+              if (resendVerify) resendVerify.style.display = 'none';
+              if (forgotLink) forgotLink.style.display = loginMode ? 'none' : '';
               if (loginMode) {
-                formTitle.textContent = 'Sign Up'; formBtn.textContent = 'Register';
+                formTitle.textContent = t('login.signUp'); formBtn.textContent = t('login.register');
+                // the email input sits inside an .input-group, so new fields go before that wrapper
+                var emailRef = formBox.querySelector('input[type="email"]');
+                if (emailRef && emailRef.parentNode !== formBox) emailRef = emailRef.closest('.input-group') || emailRef;
                 if (!$('#nameField')) {
-                  var emailRef = formBox.querySelector('input[type="email"]');
-                  var nameInput = document.createElement('input'); nameInput.id = 'nameField'; nameInput.placeholder = 'Full name'; nameInput.setAttribute('aria-label','Full name');
+                  var nameInput = document.createElement('input'); nameInput.id = 'nameField'; nameInput.placeholder = t('login.fullName'); nameInput.setAttribute('aria-label', t('login.fullName'));
                   formBox.insertBefore(nameInput, emailRef);
                 }
+                if (!$('#gradYearField')) {
+                  var yearInput = document.createElement('input'); yearInput.id = 'gradYearField'; yearInput.type = 'number'; yearInput.placeholder = t('login.gradYear'); yearInput.setAttribute('aria-label', t('login.gradYear'));
+                  var deptInput = document.createElement('input'); deptInput.id = 'deptField'; deptInput.placeholder = t('login.department'); deptInput.setAttribute('aria-label', t('login.department'));
+                  formBox.insertBefore(yearInput, emailRef); formBox.insertBefore(deptInput, emailRef);
+                }
                 if (!$('#confirmField')) {
-                  var confirm = document.createElement('input'); confirm.id = 'confirmField'; confirm.placeholder = 'Confirm password'; confirm.type = 'password';
+                  var confirm = document.createElement('input'); confirm.id = 'confirmField'; confirm.placeholder = t('login.confirmPassword'); confirm.setAttribute('aria-label', t('login.confirmPassword')); confirm.type = 'password';
                   if (confirmWrapper) confirmWrapper.innerHTML = ''; confirmWrapper.appendChild(confirm);
                 }
-                toggleForm.textContent = 'Already have an account? Login';
+                toggleForm.textContent = t('login.haveAccount');
               } else {
-                formTitle.textContent = 'Login'; formBtn.textContent = 'Login';
+                formTitle.textContent = t('login.title'); formBtn.textContent = t('login.title');
                 var n = $('#nameField'); if (n) n.remove();
+                var gy = $('#gradYearField'); if (gy) gy.remove();
+                var dp = $('#deptField'); if (dp) dp.remove();
                 var c = $('#confirmField'); if (c) c.remove();
                 if (confirmWrapper) confirmWrapper.innerHTML = '';
-                toggleForm.textContent = "Don't have an account? Sign Up";
+                toggleForm.textContent = t('login.noAccount');
               }
               loginMode = !loginMode;
               bindStrength();
@@ -260,21 +3572,45 @@ document.addEventListener('DOMContentLoaded', function () {
           });
         }
 
+        // a ?reset= link swaps the form for "new password + confirm" on a fixed email
+        function enterResetMode(email, token) {
+          resetToken = token;
+          formTitle.textContent = t('reset.title'); formBtn.textContent = t('reset.save');
+          if (emailField) { emailField.value = email; emailField.readOnly = true; }
+          if (confirmWrapper && !$('#confirmField')) {
+            var confirm = document.createElement('input'); confirm.id = 'confirmField'; confirm.placeholder = t('login.confirmPassword'); confirm.setAttribute('aria-label', t('login.confirmPassword')); confirm.type = 'password';
+            confirmWrapper.innerHTML = ''; confirmWrapper.appendChild(confirm);
+          }
+          [toggleForm, forgotLink, resendVerify].forEach(function(el){ if (el) el.style.display = 'none'; });
+          bindStrength();
+        }
+        function leaveResetMode() {
+          resetToken = null;
+          formTitle.textContent = t('login.title'); formBtn.textContent = t('login.title');
+          if (emailField) emailField.readOnly = false;
+          if (confirmWrapper) confirmWrapper.innerHTML = '';
+          getPasswordInputs(formBox).forEach(function(p){ p.value = ''; });
+          [toggleForm, forgotLink].forEach(function(el){ if (el) el.style.display = ''; });
+          bindStrength();
+        }
+
         function validateLoginInputs(isRegister) {
           try {
             showFormError(''); showFieldError('#emailError',''); showFieldError('#passwordError',''); showFieldError('#confirmError','');
             var email = emailField ? (emailField.value || '').trim() : '';
             var pass = readPrimaryPassword(formBox);
             var ok = true;
-            if (!email) { showFieldError('#emailError','Email required'); ok = false; }
-            else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) { showFieldError('#emailError','Enter a valid email'); ok = false; }
-            if (!pass) { showFieldError('#passwordError','Password required'); ok = false; }
+            if (!email) { showFieldError('#emailError', t('form.emailRequired')); ok = false; }
+            else if (!EMAIL_PATTERN.test(email)) { showFieldError('#emailError', t('form.emailInvalid')); ok = false; }
+            if (!pass) { showFieldError('#passwordError', t('form.passwordRequired')); ok = false; }
             if (isRegister) {
               var confirmVal = $('#confirmField') ? ($('#confirmField').value || '') : '';
-              if (!confirmVal) { showFieldError('#confirmError','Confirm your password'); ok = false; }
-              if (pass && confirmVal && pass !== confirmVal) { showFieldError('#confirmError','Passwords do not match'); ok = false; }
+              if (!confirmVal) { showFieldError('#confirmError', t('form.confirmRequired')); ok = false; }
+              if (pass && confirmVal && pass !== confirmVal) { showFieldError('#confirmError', t('password.mismatch')); ok = false; }
               var pr = evaluatePassword(pass);
-              if (!pr.valid) { showFieldError('#passwordError','Password must be 8+ chars, include uppercase and digit'); ok = false; }
+              if (!pr.valid) { showFieldError('#passwordError', t('password.rules')); ok = false; }
+              var yearVal = $('#gradYearField') ? ($('#gradYearField').value || '').trim() : '';
+              if (yearVal && !/^(19|20)\d{2}$/.test(yearVal)) { showFormError(t('form.gradYearInvalid')); ok = false; }
             }
             return ok;
           } catch (e) { console.error('validateLoginInputs failed', e); return false; }
@@ -284,49 +3620,314 @@ document.addEventListener('DOMContentLoaded', function () {
           formBtn.addEventListener('click', async function(ev){
             ev.preventDefault();
             try {
-              var isRegister = (formBtn.textContent || '').toLowerCase().indexOf('register') >= 0;
-              if (!validateLoginInputs(isRegister)) return;
-              var email = emailField ? (emailField.value || '').trim() : '';
+              var isRegister = !loginMode;
+              if (!validateLoginInputs(isRegister || !!resetToken)) return;
+              var email = normalizeEmail(emailField ? emailField.value : '');
               var pass = readPrimaryPassword(formBox);
+              if (resetToken) {
+                var reset = await resetPassword(email, resetToken, pass, $('#confirmField') ? $('#confirmField').value : '');
+                if (!reset.ok) { showFormError(reset.msg); return; }
+                leaveResetMode(); showFormError(t('reset.done'));
+                return;
+              }
               if (isRegister) {
-                var users = DB.getUsers();
-                if (users.find(function(u){ return u.email === email; })) { showFormError('User already exists'); return; }
-                var salt = generateSalt(16); var ph = await hashWithSalt(pass, salt);
+                var existing = findUser(await DB.getUsers(), email);
+                if (existing && existing.mustSetPassword) {
+                  // whoever types this address doesn't get to pick its password; the owner gets a setup link
+                  var setup = await requestPasswordReset(email);
+                  if (toggleForm) toggleForm.click();
+                  showFormError(setup.ok ? t('login.setupSent') : setup.msg);
+                  return;
+                }
+                if (existing) { showFormError(t('login.userExists')); return; }
                 var nameVal = $('#nameField') ? ($('#nameField').value || 'User') : 'User';
-                var newUser = { email: email, passHash: ph, salt: salt, name: nameVal, disabled: false, created: new Date().toISOString(), lastLogin: null, role: 'user' };
-                DB.addUser(newUser); DB.logActivity({ email: email, action: 'Registered', timestamp: new Date().toISOString() }); showFormError('Registration successful. Please login.'); if (toggleForm) toggleForm.click();
+                var newUser = { email: email, name: nameVal, disabled: false, created: new Date().toISOString(), lastLogin: null, role: 'member', emailVerified: false };
+                await setPassword(newUser, pass);
+                if (!await DB.addUser(newUser)) { showFormError(t('login.userExists')); return; }
+                var yearVal = $('#gradYearField') ? parseInt($('#gradYearField').value, 10) : NaN;
+                await DB.upsertAlumnus({ email: email, name: nameVal, gradYear: isNaN(yearVal) ? null : yearVal, department: $('#deptField') ? ($('#deptField').value || '').trim() : '', company: '', title: '', city: '', skills: [], visible: true, created: newUser.created });
+                await DB.logActivity({ type: 'user.register', actor: email, target: email, action: 'Registered' });
+                var verify = await sendVerificationEmail(email);
+                if (toggleForm) toggleForm.click();
+                showFormError(verify.ok ? t('login.verifySent', { email: email }) : t('login.verifyFailed'));
               } else {
-                var users = DB.getUsers(); var found = users.find(function(u){ return u.email === email; });
-                if (!found) { showFormError('No account found. Register first.'); return; }
-                if (found.disabled) { showFormError('Account disabled. Contact admin.'); return; }
-
-                // legacy migration
-                if (found.pass && !found.passHash && !found.salt) {
-                  try {
-                    var plain = atob(found.pass || '');
-                    if (plain === pass) {
-                      var salt2 = generateSalt(16); var hash2 = await hashWithSalt(pass, salt2);
-                      found.salt = salt2; found.passHash = hash2; delete found.pass; DB.saveUsers(users); DB.logActivity({ email: email, action: 'Migrated legacy cred', timestamp: new Date().toISOString() });
-                    } else { showFormError('Incorrect password'); return; }
-                  } catch (e) { showFormError('Legacy migration failed'); return; }
-                }
-
-                if (found.salt && found.passHash) {
-                  var chk = await hashWithSalt(pass, found.salt);
-                  if (chk !== found.passHash) { showFormError('Incorrect password'); return; }
-                } else { showFormError('Invalid account data'); return; }
+                var auth = await authenticate(email, pass);
+                if (!auth.ok) { showFormError(auth.msg); if (resendVerify) resendVerify.style.display = auth.code === 'unverified' ? '' : 'none'; return; }
+                var found = auth.user;
 
-                localStorage.setItem('ap_currentUser', JSON.stringify({ email: found.email, name: found.name, role: found.role }));
-                found.lastLogin = new Date().toISOString(); DB.saveUsers(users);
-                DB.logActivity({ email: found.email, action: 'Logged in', timestamp: new Date().toISOString() });
-                window.location.href = 'index.html';
+                Session.start(found);
+                await DB.logActivity({ type: 'auth.login', actor: found.email, target: found.email, action: 'Logged in' });
+                if (found.mustChangePassword) { window.location.href = 'profile.html?force=1'; return; }
+                window.location.href = safeNextPage(window.location.search) || 'index.html';
               }
-            } catch (e) { console.error('formBtn click handler failed', e); showFormError('An unexpected error occurred'); }
+            } catch (e) { console.error('formBtn click handler failed', e); showFormError(t('form.unexpected')); }
           });
         }
+
+        // the answer is the same whether or not the address has an account
+        if (forgotLink) {
+          forgotLink.addEventListener('click', async function(){
+            try {
+              showFormError(''); showFieldError('#emailError','');
+              var email = emailField ? (emailField.value || '').trim() : '';
+              if (!email) { showFieldError('#emailError', t('form.emailRequired')); return; }
+              if (!EMAIL_PATTERN.test(email)) { showFieldError('#emailError', t('form.emailInvalid')); return; }
+              var res = await requestPasswordReset(email);
+              showFormError(res.ok ? t('reset.sent') : res.msg);
+            } catch (e) { console.error('forgotLink handler failed', e); showFormError(t('form.unexpected')); }
+          });
+        }
+        if (resendVerify) {
+          resendVerify.addEventListener('click', async function(){
+            try {
+              var email = emailField ? (emailField.value || '').trim() : '';
+              if (!email) return;
+              var res = await sendVerificationEmail(email);
+              showFormError(res.ok ? t('verify.resent') : res.msg);
+            } catch (e) { console.error('resendVerify handler failed', e); showFormError(t('form.unexpected')); }
+          });
+        }
+
+        // links from verification / reset emails; the token is dropped from the address bar right away
+        var linkParams = new URLSearchParams(window.location.search);
+        var linkEmail = (linkParams.get('email') || '').trim();
+        if (linkEmail && (linkParams.get('verify') || linkParams.get('reset'))) {
+          var verifyToken = linkParams.get('verify'); var linkResetToken = linkParams.get('reset');
+          ['verify', 'reset', 'email'].forEach(function(k){ linkParams.delete(k); });
+          try { history.replaceState(null, '', window.location.pathname + (linkParams.toString() ? '?' + linkParams.toString() : '') + window.location.hash); } catch (e) {}
+          if (linkResetToken) enterResetMode(linkEmail, linkResetToken);
+          else {
+            var verified = await verifyEmail(linkEmail, verifyToken);
+            if (emailField) emailField.value = linkEmail;
+            showFormError(verified.ok ? t('verify.done') : verified.msg);
+          }
+        }
       }
     } catch (e) { console.error('Login/Signup block error', e); }
 
+    /* ---------- Profile page ---------- */
+    try {
+      var profileBox = $('#profileBox');
+      if (profileBox) {
+        var me = getCurrentUser();
+        var meUser = me ? findUser(await DB.getUsers(), me.email) : null;
+        if (!meUser) {
+          profileBox.innerHTML = '<h2>' + t('profile.title') + '</h2><p class="small-muted" style="margin-top:8px"><a href="login.html" style="color:#4b6cf7">' + t('profile.loginPrompt') + '</a></p>';
+        } else {
+          var meRec = (await DB.getAlumni()).find(function(a){ return a && sameEmail(a.email, meUser.email); }) || {};
+          var pendingPhoto = meRec.photo || '';
+          function val(id) { var el = $(id); return el ? (el.value || '') : ''; }
+          function setVal(id, v) { var el = $(id); if (el) el.value = (v === null || v === undefined) ? '' : v; }
+          function showPhoto() {
+            var prev = $('#pfPhotoPreview'); if (!prev) return;
+            prev.innerHTML = pendingPhoto && !profilePhotoError(pendingPhoto) ? '<img src="' + escapeHTML(pendingPhoto) + '" alt="">' : '<div class="alumni-avatar" aria-hidden="true">' + escapeHTML(initials(val('#pfName'))) + '</div>';
+          }
+
+          if ($('#pfEmail')) $('#pfEmail').textContent = meUser.email;
+          if (me.mustChangePassword) showFieldError('#passwordMsg', t('profile.forceChange'));
+          setVal('#pfName', meUser.name); setVal('#pfBio', meRec.bio); setVal('#pfGradYear', meRec.gradYear);
+          setVal('#pfDept', meRec.department); setVal('#pfCompany', meRec.company); setVal('#pfTitle', meRec.title);
+          setVal('#pfCity', meRec.city); setVal('#pfSkills', (meRec.skills || []).join(', '));
+          if ($('#pfPhoto')) $('#pfPhoto').value = /^data:/.test(pendingPhoto) ? '' : pendingPhoto;
+          if ($('#pfVisible')) $('#pfVisible').checked = meRec.visible !== undefined ? meRec.visible !== false : meUser.role !== 'admin';
+          showPhoto();
+
+          if ($('#pfPhoto')) $('#pfPhoto').addEventListener('input', function(){ pendingPhoto = val('#pfPhoto').trim(); showPhoto(); });
+          if ($('#pfPhotoFile')) $('#pfPhotoFile').addEventListener('change', function(){
+            try {
+              var f = this.files && this.files[0]; if (!f) return;
+              if (!/^image\//.test(f.type)) { showFieldError('#profileMsg', t('profile.photoType')); return; }
+              if (f.size > PROFILE_PHOTO_MAX) { showFieldError('#profileMsg', t('profile.photoSize', { size: Math.round(PROFILE_PHOTO_MAX / 1024) })); return; }
+              var reader = new FileReader();
+              reader.onload = function(){ pendingPhoto = String(reader.result || ''); if ($('#pfPhoto')) $('#pfPhoto').value = ''; showPhoto(); };
+              reader.readAsDataURL(f);
+            } catch (e) { console.error('photo upload failed', e); }
+          });
+          if ($('#pfPhotoClear')) $('#pfPhotoClear').addEventListener('click', function(){ pendingPhoto = ''; setVal('#pfPhoto', ''); setVal('#pfPhotoFile', ''); showPhoto(); });
+
+          if ($('#pfSave')) $('#pfSave').addEventListener('click', async function(ev){
+            ev.preventDefault();
+            try {
+              showFieldError('#profileMsg', ''); showFieldError('#pfPhotoError', '');
+              var res = await saveProfile(meUser.email, {
+                name: val('#pfName'), bio: val('#pfBio'), photo: pendingPhoto, gradYear: val('#pfGradYear').trim(),
+                department: val('#pfDept'), company: val('#pfCompany'), title: val('#pfTitle'), city: val('#pfCity'),
+                skills: val('#pfSkills'), visible: $('#pfVisible') ? $('#pfVisible').checked : true
+              });
+              if (res.field === 'photo') showFieldError('#pfPhotoError', res.msg);
+              else showFieldError('#profileMsg', res.ok ? t('profile.saved') : res.msg);
+              showPhoto();
+            } catch (e) { console.error('profile save failed', e); showFieldError('#profileMsg', t('profile.saveFailed')); }
+          });
+
+          var pwNew = $('#pwNew');
+          if (pwNew) pwNew.addEventListener('input', function(){
+            var res = evaluatePassword(pwNew.value || '');
+            var pwdMsg = $('#pwdMsg'); var pwdBar = $('#pwdBar');
+            if (pwdMsg) pwdMsg.textContent = res.msg;
+            if (pwdBar) { pwdBar.style.width = Math.min(100, (res.score/4)*100) + '%'; pwdBar.style.background = res.score >= 3 ? '#28a745' : (res.score === 2 ? '#f39c12' : '#e74c3c'); }
+          });
+          if ($('#pwBtn')) $('#pwBtn').addEventListener('click', async function(ev){
+            ev.preventDefault();
+            try {
+              showFieldError('#passwordMsg', '');
+              var res = await changePassword(meUser.email, val('#pwCurrent'), val('#pwNew'), val('#pwConfirm'));
+              showFieldError('#passwordMsg', res.ok ? t('password.changed') : res.msg);
+              if (res.ok && me.mustChangePassword) { me.mustChangePassword = false; renderSessionNav(); }
+              if (res.ok) { setVal('#pwCurrent', ''); setVal('#pwNew', ''); setVal('#pwConfirm', ''); }
+            } catch (e) { console.error('password change failed', e); showFieldError('#passwordMsg', t('password.changeFailed')); }
+          });
+        }
+      }
+    } catch (e) { console.error('Profile block failed', e); }
+
+    /* ---------- Mentorship page ---------- */
+    try {
+      var mentorBox = $('#mentorBox');
+      if (mentorBox && getCurrentUser()) {
+        var mtMe = getCurrentUser(); var mtTarget = '';
+        var mtMine = findMentor(await DB.getMentors(), mtMe.email);
+        if ($('#mtActive')) $('#mtActive').checked = !!(mtMine && mtMine.active);
+        if ($('#mtExpertise')) $('#mtExpertise').value = mtMine ? tagList(mtMine.expertise).join(', ') : '';
+        if ($('#mtCapacity') && mtMine) $('#mtCapacity').value = mtMine.capacity;
+        if ($('#mtBio')) $('#mtBio').value = mtMine ? mtMine.bio || '' : '';
+
+        function mentorshipRow(p, other, actions) {
+          return '<div style="padding:8px 0; border-bottom:1px solid rgba(0,0,0,0.06);">' +
+            '<strong>' + escapeHTML(other) + '</strong> <span class="small-muted">• ' + escapeHTML(MENTORSHIP_STATUSES[p.status] ? t(MENTORSHIP_STATUSES[p.status]) : p.status) + ' • ' + escapeHTML(formatDate(p.updated || p.created, 'date')) + '</span>' +
+            (p.message ? '<div style="white-space:pre-wrap; margin-top:4px;">' + escapeHTML(p.message) + '</div>' : '') +
+            (actions ? '<div style="margin-top:6px; display:flex; gap:6px; flex-wrap:wrap;">' + actions + '</div>' : '') + '</div>';
+        }
+        function mtButton(p, action, label) { return '<button type="button" class="toggle mt-act" data-id="' + escapeHTML(p.id) + '" data-action="' + action + '">' + label + '</button>'; }
+        async function renderMentorship() {
+          try {
+            var mentors = await DB.getMentors(); var pairings = await DB.getMentorships(); var alumni = await DB.getAlumni();
+            var term = $('#mtSearch') ? ($('#mtSearch').value || '').trim().toLowerCase() : '';
+            var matches = mentorMatches(mtMe.email, mentors, alumni, pairings).filter(function(x){
+              return !term || [x.mentor.name, tagList(x.mentor.expertise).join(' '), x.profile.company, x.profile.department].join(' ').toLowerCase().indexOf(term) >= 0;
+            });
+            $('#mtMatches').innerHTML = matches.length ? matches.map(function(x){
+              var p = x.profile; var role = p.title && p.company ? t('mentor.titleAt', { title: p.title, company: p.company }) : (p.title || p.company || '');
+              var action = x.open ? '<span class="small-muted">' + escapeHTML(t(MENTORSHIP_STATUSES[x.open.status])) + '</span>' :
+                (x.full ? '<span class="small-muted">' + t('mentor.noPlaces') + '</span>' : '<button type="button" class="primary-btn mt-request" data-email="' + escapeHTML(x.mentor.email) + '" data-name="' + escapeHTML(x.mentor.name) + '" style="width:auto;padding:6px 12px;margin-top:0">' + t('mentor.request') + '</button>');
+              return '<div style="padding:8px 0; border-bottom:1px solid rgba(0,0,0,0.06);">' +
+                '<div style="float:right">' + action + '</div><strong>' + escapeHTML(x.mentor.name) + '</strong>' + (role ? ' <span class="small-muted">• ' + escapeHTML(role) + '</span>' : '') +
+                '<div style="font-size:.9rem">' + escapeHTML(tagList(x.mentor.expertise).join(', ')) + '</div>' +
+                (x.mentor.bio ? '<div class="small-muted" style="font-size:.9rem">' + escapeHTML(x.mentor.bio) + '</div>' : '') +
+                '<div class="small-muted" style="clear:both; font-size:.85rem">' + escapeHTML((x.reasons.length ? x.reasons.join(' • ') : t('mentor.noOverlap')) + ' • ' + t('mentor.load', { count: x.mentor.capacity, load: x.load })) + '</div></div>';
+            }).join('') : '<p class="small-muted">' + t('mentor.noneFound') + '</p>';
+
+            var outgoing = pairings.filter(function(p){ return p && p.mentee === mtMe.email; });
+            $('#mtOutgoing').innerHTML = outgoing.length ? outgoing.map(function(p){
+              return mentorshipRow(p, p.mentorName || p.mentor, p.status === 'pending' ? mtButton(p, 'withdraw', t('mentor.withdraw')) :
+                (p.status === 'accepted' ? '<a href="mailto:' + escapeHTML(p.mentor) + '" class="small-muted">' + escapeHTML(p.mentor) + '</a>' + mtButton(p, 'end', t('mentor.end')) : ''));
+            }).join('') : '<p class="small-muted">' + t('mentor.noneOutgoing') + '</p>';
+
+            var incoming = pairings.filter(function(p){ return p && p.mentor === mtMe.email; });
+            $('#mtIncoming').innerHTML = incoming.length ? incoming.map(function(p){
+              return mentorshipRow(p, (p.menteeName || p.mentee) + ' (' + p.mentee + ')', p.status === 'pending' ? mtButton(p, 'accept', t('mentor.accept')) + mtButton(p, 'decline', t('mentor.decline')) :
+                (p.status === 'accepted' ? '<a href="mailto:' + escapeHTML(p.mentee) + '" class="small-muted">' + escapeHTML(p.mentee) + '</a>' + mtButton(p, 'end', t('mentor.end')) : ''));
+            }).join('') : '<p class="small-muted">' + t('mentor.noneIncoming') + '</p>';
+          } catch (e) { console.error('renderMentorship failed', e); }
+        }
+
+        if ($('#mtSave')) $('#mtSave').addEventListener('click', async function(ev){
+          ev.preventDefault();
+          try {
+            var res = await saveMentorProfile(mtMe, { active: $('#mtActive').checked, expertise: $('#mtExpertise').value, capacity: $('#mtCapacity').value, bio: $('#mtBio').value });
+            showFieldError('#mentorMsg', res.ok ? t('mentor.saved') : res.msg);
+            if (res.ok) await renderMentorship();
+          } catch (e) { console.error('mentor save failed', e); showFieldError('#mentorMsg', t('mentor.saveFailed')); }
+        });
+        if ($('#mtSearch')) $('#mtSearch').addEventListener('input', function(){ renderMentorship(); });
+        mentorBox.addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('.mt-request, .mt-act, #mtSend, #mtRequestCancel') : null;
+            if (!btn) return;
+            if (btn.classList.contains('mt-request')) {
+              mtTarget = btn.dataset.email; $('#mtRequestTo').textContent = btn.dataset.name;
+              $('#mtRequestBox').style.display = ''; showFieldError('#mtRequestMsg', ''); $('#mtRequestText').focus();
+              return;
+            }
+            if (btn.id === 'mtRequestCancel') { mtTarget = ''; $('#mtRequestBox').style.display = 'none'; return; }
+            var res = btn.id === 'mtSend' ? await requestMentorship(mtTarget, $('#mtRequestText').value, mtMe) : await respondMentorship(btn.dataset.id, btn.dataset.action, mtMe);
+            if (!res.ok) { if (btn.id === 'mtSend') showFieldError('#mtRequestMsg', res.msg); else alert(res.msg); return; }
+            if (btn.id === 'mtSend') { mtTarget = ''; $('#mtRequestText').value = ''; $('#mtRequestBox').style.display = 'none'; showFieldError('#mtRequestMsg', t('mentor.requestSent')); }
+            await renderMentorship();
+          } catch (e) { console.error('mentorship action failed', e); }
+        });
+        await renderMentorship();
+        DB.onChange(function(keys){ if (changedAny(keys, ['ap_mentors', 'ap_mentorships', 'ap_alumni'])) renderMentorship(); });
+      }
+    } catch (e) { console.error('Mentorship block failed', e); }
+
+    /* ---------- Job board page ---------- */
+    try {
+      var jobBoard = $('#jobBoard');
+      if (jobBoard && getCurrentUser()) {
+        var jbMe = getCurrentUser();
+        function jobCard(j, mine) {
+          var state = jobState(j);
+          var applied = (j.applicants || []).some(function(a){ return a.email === jbMe.email; });
+          var where = [j.location, j.remote ? t('jobs.remote') : ''].filter(Boolean).join(' • ');
+          var link = safeUrl(j.applyUrl);
+          var actions = '';
+          if (mine) actions = (state === 'closed' ? '' : '<button type="button" class="toggle job-close" data-id="' + escapeHTML(j.id) + '">' + t('jobs.close') + '</button>');
+          else if (state === 'live') actions = (link ? '<a href="' + escapeHTML(link) + '" target="_blank" rel="noopener noreferrer" class="small-muted">' + t('jobs.howToApply') + '</a>' : '') +
+            '<button type="button" class="toggle job-apply" data-id="' + escapeHTML(j.id) + '" data-applied="' + (applied ? '1' : '') + '">' + (applied ? '✓ ' + t('jobs.appliedUndo') : t('jobs.iApplied')) + '</button>';
+          var count = (j.applicants || []).length;
+          return '<div style="padding:10px 0; border-bottom:1px solid rgba(0,0,0,0.06);">' +
+            '<strong>' + escapeHTML(j.title) + '</strong> <span class="small-muted">• ' + escapeHTML(j.company) + '</span>' +
+            '<div class="small-muted" style="font-size:.9rem">' + escapeHTML(where + ' • ' + t('jobs.until', { date: formatDate(j.expiresAt, 'date') }) + ' • ' + (mine ? t(state === 'live' ? 'jobs.live' : (state === 'expired' ? 'jobs.expired' : JOB_STATUSES[state])) : t('jobs.postedBy', { name: j.posterName || j.postedBy }))) + '</div>' +
+            (j.description ? '<div style="white-space:pre-wrap; margin-top:4px;">' + escapeHTML(j.description) + '</div>' : '') +
+            '<div style="margin-top:6px; display:flex; gap:8px; align-items:center; flex-wrap:wrap;">' + (mine ? '<span class="small-muted">' + t('jobs.appliedCount', { count: count }) + '</span>' : '') + actions + '</div></div>';
+        }
+        async function renderJobs() {
+          try {
+            var jobs = await DB.getJobs(); var live = visibleJobs(jobs);
+            var locSel = $('#jobLocation');
+            if (locSel) {
+              var chosen = locSel.value; var seen = {};
+              var locations = live.map(function(j){ return String(j.location || '').trim(); }).filter(function(l){ var k = l.toLowerCase(); if (!l || seen[k]) return false; seen[k] = true; return true; }).sort();
+              locSel.innerHTML = '<option value="">' + t('jobs.allLocations') + '</option>' + locations.map(function(l){ return '<option value="' + escapeHTML(l) + '">' + escapeHTML(l) + '</option>'; }).join('');
+              if (chosen && seen[chosen.toLowerCase()]) locSel.value = chosen;
+            }
+            var list = filterJobs(live, { q: $('#jobSearch') ? $('#jobSearch').value : '', location: locSel ? locSel.value : '', remote: $('#jobRemote') && $('#jobRemote').checked });
+            if ($('#jobCount')) $('#jobCount').textContent = t('jobs.count', { shown: list.length, count: live.length });
+            $('#jobList').innerHTML = list.length ? list.map(function(j){ return jobCard(j, false); }).join('') : '<p class="small-muted">' + t('jobs.noneMatch') + '</p>';
+            var mine = jobs.filter(function(j){ return j && j.postedBy === jbMe.email; });
+            $('#jobMine').innerHTML = mine.length ? mine.map(function(j){ return jobCard(j, true); }).join('') : '<p class="small-muted">' + t('jobs.noneMine') + '</p>';
+          } catch (e) { console.error('renderJobs failed', e); }
+        }
+
+        ['#jobSearch', '#jobLocation', '#jobRemote'].forEach(function(id){ var el = $(id); if (el) el.addEventListener(id === '#jobSearch' ? 'input' : 'change', function(){ renderJobs(); }); });
+        if ($('#jobPost')) $('#jobPost').addEventListener('click', async function(ev){
+          ev.preventDefault();
+          try {
+            var val = function (id) { return $(id) ? $(id).value || '' : ''; };
+            var res = await saveJob({ title: val('#jobTitle'), company: val('#jobCompany'), location: val('#jobCity'), remote: $('#jobIsRemote').checked,
+              expiresAt: val('#jobExpires'), applyUrl: val('#jobApplyUrl'), description: val('#jobDesc') }, jbMe);
+            showFieldError('#jobMsg', res.ok ? t('jobs.submitted') : res.msg);
+            if (!res.ok) return;
+            ['#jobTitle', '#jobCompany', '#jobCity', '#jobExpires', '#jobApplyUrl', '#jobDesc'].forEach(function(id){ if ($(id)) $(id).value = ''; });
+            $('#jobIsRemote').checked = false;
+            await renderJobs();
+          } catch (e) { console.error('job post failed', e); showFieldError('#jobMsg', t('jobs.postFailed')); }
+        });
+        jobBoard.addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('.job-apply, .job-close') : null;
+            if (!btn) return;
+            var res = btn.classList.contains('job-close') ? (confirm(t('jobs.confirmClose')) ? await closeJob(btn.dataset.id, jbMe) : null) : await markJobApplied(btn.dataset.id, !btn.dataset.applied, jbMe);
+            if (res && !res.ok) alert(res.msg);
+            await renderJobs();
+          } catch (e) { console.error('job action failed', e); }
+        });
+        await renderJobs();
+        DB.onChange(function(keys){ if (changedAny(keys, ['ap_jobs'])) renderJobs(); });
+      }
+    } catch (e) { console.error('Job board block failed', e); }
+
     /* ---------- Admin page ---------- */
     try {
       var onAdmin = window.location.pathname.indexOf('admin.html') >= 0 || window.location.href.indexOf('admin.html') >= 0;
@@ -336,88 +3937,525 @@ document.addEventListener('DOMContentLoaded', function () {
           try {
             var usersListDiv = $('#usersList'); var annListDiv = $('#annList'); var userCountEl = $('#userCount');
             if (!usersListDiv || !annListDiv || !userCountEl) return;
-            usersListDiv.innerHTML = ''; var users = DB.getUsers(); userCountEl.innerText = users.length;
+            var myRole = await currentRole();
+            $$('#adminPanel [data-perm]').forEach(function(el){ el.style.display = can(myRole, el.dataset.perm) ? '' : 'none'; });
+            if ($('#adminRole')) $('#adminRole').textContent = myRole ? t(ROLES[myRole].label) : '';
+            usersListDiv.innerHTML = ''; var users = await DB.getUsers(); userCountEl.innerText = users.length;
+            var roleOptions = Object.keys(ROLES).map(function(r){ return '<option value="' + r + '">' + escapeHTML(t(ROLES[r].label)) + '</option>'; }).join('');
             users.forEach(function(u){
               var wrapper = document.createElement('div');
               wrapper.style.padding = '8px'; wrapper.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
-              wrapper.innerHTML = '<strong>' + (u.name||'') + '</strong> <span style="opacity:.7">(' + (u.email||'') + ')</span>' +
-                '<div style="float:right"><button data-email="' + (u.email||'') + '" class="toggleDisable">' + (u.disabled ? 'Enable' : 'Disable') + '</button></div>' +
-                '<div style="clear:both;font-size:.9rem;opacity:.7">Last: ' + (u.lastLogin || 'Never') + ' • Created: ' + (u.created ? new Date(u.created).toLocaleString() : '') + '</div>';
+              var role = normalizeRole(u.role);
+              var controls = (can(myRole, 'users.assignRole') ? '<select data-email="' + escapeHTML(u.email) + '" class="roleSelect" aria-label="' + escapeHTML(t('admin.role')) + '">' + roleOptions + '</select> ' : '<span class="small-muted">' + escapeHTML(t(ROLES[role].label)) + '</span> ') +
+                (can(myRole, 'users.toggle') ? '<button data-email="' + escapeHTML(u.email) + '" class="toggleDisable">' + t(u.disabled ? 'admin.enable' : 'admin.disable') + '</button>' : '') +
+                (u.mustSetPassword && !u.disabled && can(myRole, 'users.create') ? ' <button data-email="' + escapeHTML(u.email) + '" class="sendSetup">' + t('admin.sendSetup') + '</button>' : '');
+              wrapper.innerHTML = '<strong>' + escapeHTML(u.name) + '</strong> <span style="opacity:.7">(' + escapeHTML(u.email) + ')</span>' +
+                (u.mustSetPassword ? ' <span class="small-muted">• ' + t('admin.passwordNotSet') + '</span>' : '') +
+                (u.emailVerified === false ? ' <span class="small-muted" style="color:#b7791f">• ' + t('admin.unverified') + '</span>' : '') +
+                '<div style="float:right">' + controls + '</div>' +
+                '<div style="clear:both;font-size:.9rem;opacity:.7">' + escapeHTML(t('admin.lastLogin', { date: u.lastLogin ? formatDate(u.lastLogin) : t('admin.never') }) + ' • ' + t('admin.created', { date: u.created ? formatDate(u.created) : '' })) + '</div>';
+              var sel = wrapper.querySelector('.roleSelect'); if (sel) sel.value = role;
               usersListDiv.appendChild(wrapper);
             });
 
             $$('.toggleDisable').forEach(function(btn){
-              btn.addEventListener('click', function(){
+              btn.addEventListener('click', async function(){
                 try {
-                  var email = btn.dataset.email; var users = DB.getUsers(); var u = users.find(function(x){ return x.email === email; }); if (!u) return;
-                  u.disabled = !u.disabled; DB.saveUsers(users); DB.logActivity({ email: 'admin', action: (u.disabled ? 'Disabled ' : 'Enabled ') + email, timestamp: new Date().toISOString() }); renderAdmin();
+                  var cur = getCurrentUser() || {};
+                  var res = await toggleUserDisabled(btn.dataset.email, cur.email || 'admin');
+                  if (!res.ok) alert(res.msg);
+                  renderAdmin();
                 } catch (e) { console.error('toggleDisable handler', e); }
               });
             });
+            $$('.sendSetup').forEach(function(btn){
+              btn.addEventListener('click', async function(){
+                try {
+                  var cur = getCurrentUser() || {};
+                  var res = await sendAccountSetupLink(btn.dataset.email, cur.email || 'admin');
+                  alert(res.ok ? t('admin.setupSent', { email: btn.dataset.email }) : res.msg);
+                } catch (e) { console.error('sendSetup handler', e); }
+              });
+            });
+            $$('.roleSelect').forEach(function(sel){
+              sel.addEventListener('change', async function(){
+                try {
+                  var cur = getCurrentUser() || {};
+                  var res = await assignRole(sel.dataset.email, sel.value, cur.email || 'admin');
+                  if (!res.ok) alert(res.msg);
+                  renderAdmin();
+                } catch (e) { console.error('roleSelect handler', e); }
+              });
+            });
 
             annListDiv.innerHTML = '';
-            var anns = DB.getAnnouncements();
-            if (!anns || anns.length === 0) annListDiv.innerHTML = '<div class="small-muted">No announcements yet.</div>';
+            var anns = sortAnnouncements(await DB.getAnnouncements());
+            var canPost = can(myRole, 'announcements.post');
+            if (!anns || anns.length === 0) annListDiv.innerHTML = '<div class="small-muted">' + t('ann.none') + '</div>';
             else anns.forEach(function(a){
               var el = document.createElement('div'); el.style.padding = '8px'; el.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
-              el.innerHTML = '<strong>' + (a.by||'') + '</strong> <span style="opacity:.6">• ' + (new Date(a.timestamp).toLocaleString()) + '</span><div style="margin-top:6px">' + (a.text||'') + '</div>';
+              var state = announcementState(a);
+              var badge = state === 'scheduled' ? ' • ' + t('ann.scheduledFor', { date: formatDate(a.publishAt) }) : (state === 'expired' ? ' • ' + t('ann.expired') : (a.expiresAt ? ' • ' + t('ann.until', { date: formatDate(a.expiresAt) }) : ''));
+              el.innerHTML = (a.pinned ? '📌 ' : '') + '<strong>' + escapeHTML(a.by) + '</strong> <span style="opacity:.6">• ' + escapeHTML(formatDate(a.publishAt || a.timestamp) + badge) + '</span>' +
+                '<div class="rich-text" style="margin-top:6px' + (state === 'live' ? '' : ';opacity:.6') + '">' + markdownToHTML(a.text) + '</div>' +
+                (canPost ? '<div style="margin-top:6px;display:flex;gap:6px">' +
+                  '<button data-id="' + escapeHTML(a.id) + '" class="annEdit">' + t('common.edit') + '</button>' +
+                  '<button data-id="' + escapeHTML(a.id) + '" class="annPin">' + t(a.pinned ? 'ann.unpin' : 'ann.pin') + '</button>' +
+                  '<button data-id="' + escapeHTML(a.id) + '" class="annDelete">' + t('common.delete') + '</button></div>' : '');
               annListDiv.appendChild(el);
             });
+
+            var evListDiv = $('#eventsAdminList');
+            if (evListDiv) {
+              var events = (await DB.getEvents()).slice().sort(function(a, b){ return new Date(b.start) - new Date(a.start); });
+              evListDiv.innerHTML = events.length ? '' : '<div class="small-muted">' + t('events.none') + '</div>';
+              events.forEach(function(ev){
+                var row = document.createElement('div'); row.style.padding = '8px'; row.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
+                var state = t(ev.status === 'cancelled' ? 'events.cancelled' : (isPastEvent(ev) ? 'events.past' : 'events.upcoming'));
+                row.innerHTML = '<strong>' + escapeHTML(ev.title) + '</strong> <span style="opacity:.7">(' + state + ')</span>' +
+                  '<div style="float:right;display:flex;gap:6px">' +
+                  '<button data-id="' + escapeHTML(ev.id) + '" class="evEdit">' + t('common.edit') + '</button>' +
+                  '<button data-id="' + escapeHTML(ev.id) + '" class="evToggle">' + t(ev.status === 'cancelled' ? 'events.restore' : 'events.cancel') + '</button>' +
+                  '<button data-id="' + escapeHTML(ev.id) + '" class="evCsv">' + t('events.attendeesCsv') + '</button></div>' +
+                  '<div style="clear:both;font-size:.9rem;opacity:.7">' + escapeHTML(formatDate(ev.start)) + (ev.location ? ' • ' + escapeHTML(ev.location) : '') +
+                  ' • ' + escapeHTML(ev.capacity ? t('events.goingOf', { count: (ev.attendees || []).length, capacity: ev.capacity }) : t('events.going', { count: (ev.attendees || []).length })) + ((ev.waitlist || []).length ? ', ' + escapeHTML(t('events.waitlisted', { count: ev.waitlist.length })) : '') + '</div>';
+                evListDiv.appendChild(row);
+              });
+            }
+            var mentorshipList = $('#mentorshipList');
+            if (mentorshipList && can(myRole, 'mentorship.view')) {
+              var pairings = await DB.getMentorships(); var mentors = await DB.getMentors();
+              var active = pairings.filter(function(p){ return p && p.status === 'accepted'; });
+              var pending = pairings.filter(function(p){ return p && p.status === 'pending'; }).length;
+              if ($('#mentorshipSummary')) $('#mentorshipSummary').textContent = '(' + t('mentor.summaryMentors', { count: mentors.filter(function(m){ return m && m.active; }).length }) + ', ' + t('mentor.summaryActive', { count: active.length }) + ', ' + t('mentor.summaryPending', { count: pending }) + ')';
+              mentorshipList.innerHTML = active.length ? active.map(function(p){
+                return '<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.06)"><strong>' + escapeHTML(p.mentorName || p.mentor) + '</strong> → ' + escapeHTML(p.menteeName || p.mentee) +
+                  '<div style="font-size:.9rem;opacity:.7">' + escapeHTML(p.mentor) + ' • ' + escapeHTML(p.mentee) + ' • ' + escapeHTML(t('mentor.since', { date: formatDate(p.updated || p.created, 'date') })) + '</div></div>';
+              }).join('') : '<div class="small-muted">' + t('mentor.noPairings') + '</div>';
+            }
+            var jobsAdminList = $('#jobsAdminList');
+            if (jobsAdminList && can(myRole, 'jobs.approve')) {
+              // waiting postings first, then live ones; rejected, closed and expired ones only show on the poster's jobs page
+              var order = { pending: 0, live: 1 };
+              var jobs = (await DB.getJobs()).filter(function(j){ return j && jobState(j) in order; })
+                .sort(function(a, b){ return (order[jobState(a)] - order[jobState(b)]) || new Date(b.created) - new Date(a.created); });
+              var waiting = jobs.filter(function(j){ return j.status === 'pending'; }).length;
+              if ($('#jobPendingCount')) $('#jobPendingCount').textContent = waiting ? '(' + t('jobs.waitingCount', { count: waiting }) + ')' : '';
+              jobsAdminList.innerHTML = jobs.length ? jobs.map(function(j){
+                var pendingJob = j.status === 'pending';
+                return '<div style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.06)"><strong>' + escapeHTML(j.title) + '</strong> <span style="opacity:.7">(' + escapeHTML(j.company) + ')</span>' +
+                  '<div style="float:right;display:flex;gap:6px">' + (pendingJob ? '<button data-id="' + escapeHTML(j.id) + '" data-decision="approve" class="jobReview">' + t('jobs.approve') + '</button><button data-id="' + escapeHTML(j.id) + '" data-decision="reject" class="jobReview">' + t('jobs.reject') + '</button>' :
+                    '<button data-id="' + escapeHTML(j.id) + '" class="jobClose">' + t('jobs.takeDown') + '</button>') + '</div>' +
+                  '<div style="clear:both;font-size:.9rem;opacity:.7">' + escapeHTML([j.location, j.remote ? t('jobs.remote') : ''].filter(Boolean).join(' • ') + ' • ' + t('jobs.by', { email: j.postedBy }) + ' • ' + t('jobs.until', { date: formatDate(j.expiresAt, 'date') }) +
+                  ' • ' + (pendingJob ? t('jobs.waiting') : t('jobs.liveApplied', { count: (j.applicants || []).length }))) + '</div>' +
+                  (pendingJob && j.description ? '<div style="white-space:pre-wrap;font-size:.9rem;margin-top:4px">' + escapeHTML(j.description) + '</div>' : '') + '</div>';
+              }).join('') : '<div class="small-muted">' + t('jobs.noneAdmin') + '</div>';
+            }
+            await renderAnalytics();
+            await renderInbox();
+            await renderMailOutbox();
+            await renderLogViewer();
           } catch (e) { console.error('renderAdmin failed', e); }
         }
 
+        var analyticsData = {};
+        async function renderAnalytics() {
+          if (!$('#analytics') || !can(await currentRole(), 'analytics.view')) return;
+          var range = $('#anRange') ? $('#anRange').value : '90'; var now = Date.now();
+          var users = await DB.getUsers(); var logs = await DB.getLogs();
+          analyticsData = {
+            registrations: { rows: registrationSeries(users, range, now), fields: ['period', 'registrations', 'totalMembers'] },
+            activity: { rows: memberActivityRows(users, now), fields: ['status', 'members'] },
+            logins: { rows: loginSeries(logs, range, now), fields: ['period', 'logins', 'uniqueMembers'] },
+            accounts: { rows: accountStatusRows(users), fields: ['role', 'enabled', 'disabled'] }
+          };
+          $('#anRegistrations').innerHTML = svgColumnChart(withPeriodLabels(analyticsData.registrations.rows), 'label', 'registrations', t('analytics.registrations'));
+          $('#anActivity').innerHTML = svgBarChart(analyticsData.activity.rows, 'status', [{ key: 'members', label: t('analytics.members'), color: '#4b6cf7' }], t('analytics.activity'));
+          $('#anLogins').innerHTML = svgColumnChart(withPeriodLabels(analyticsData.logins.rows), 'label', 'logins', t('analytics.logins'));
+          $('#anAccounts').innerHTML = svgBarChart(analyticsData.accounts.rows, 'role', [{ key: 'enabled', label: t('analytics.enabled'), color: '#4b6cf7' }, { key: 'disabled', label: t('analytics.disabled'), color: '#c0392b' }], t('analytics.accounts'));
+        }
+        if ($('#anRange')) $('#anRange').addEventListener('change', function(){ renderAnalytics(); });
+        if ($('#analytics')) $('#analytics').addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('button[data-chart]') : null; if (!btn) return;
+            var chart = analyticsData[btn.dataset.chart]; if (!chart) return;
+            if (!await authorize('analytics.export', btn.dataset.chart)) { alert(t('analytics.noExportPermission')); return; }
+            var cur = getCurrentUser() || {};
+            downloadCSV('analytics_' + btn.dataset.chart + '_' + ts() + '.csv', arrayToCSV(chart.rows, chart.fields));
+            DB.logActivity({ type: 'data.export', actor: cur.email || 'admin', target: 'analytics:' + btn.dataset.chart, action: 'Exported ' + btn.dataset.chart + ' analytics CSV', details: { range: $('#anRange') ? $('#anRange').value : '', rows: chart.rows.length } });
+          } catch (e) { console.error('analytics export failed', e); alert(t('common.exportFailed')); }
+        });
+
+        var LOG_VIEW_LIMIT = 300;
+        function logFilter() {
+          return { actor: $('#logActor') ? $('#logActor').value : '', type: $('#logType') ? $('#logType').value : '', from: $('#logFrom') ? $('#logFrom').value : '', to: $('#logTo') ? $('#logTo').value : '' };
+        }
+        async function renderLogViewer() {
+          var logList = $('#logList'); if (!logList || !can(await currentRole(), 'logs.view')) return;
+          var logs = await DB.getLogs();
+          var typeSel = $('#logType');
+          if (typeSel) {
+            var chosen = typeSel.value; var types = {};
+            logs.forEach(function(l){ if (l && l.type) { types[l.type] = true; types[l.type.split('.')[0]] = true; } });
+            typeSel.innerHTML = '<option value="">' + t('log.allTypes') + '</option>' + Object.keys(types).sort().map(function(type){ return '<option value="' + escapeHTML(type) + '">' + escapeHTML(type.indexOf('.') < 0 ? type + '.*' : type) + '</option>'; }).join('');
+            typeSel.value = chosen;
+          }
+          var shown = filterLogs(logs, logFilter());
+          if ($('#logCount')) $('#logCount').textContent = t('log.count', { shown: shown.length, count: logs.length }) + (shown.length > LOG_VIEW_LIMIT ? ' ' + t('log.limited', { limit: LOG_VIEW_LIMIT }) : '');
+          logList.innerHTML = shown.length ? shown.slice(0, LOG_VIEW_LIMIT).map(function(l){
+            return '<div style="padding:6px 0;border-bottom:1px solid rgba(0,0,0,0.06)"><span class="small-muted">#' + escapeHTML(l.seq) + ' • ' + escapeHTML(formatDate(l.timestamp)) + ' • ' + escapeHTML(l.type) + '</span>' +
+              '<div><strong>' + escapeHTML(l.actor) + '</strong> ' + escapeHTML(l.action) + (l.target && l.action.indexOf(l.target) < 0 ? ' <span style="opacity:.7">→ ' + escapeHTML(l.target) + '</span>' : '') + '</div>' +
+              (l.details ? '<div class="small-muted" style="font-size:.85rem;word-break:break-all">' + escapeHTML(JSON.stringify(l.details)) + '</div>' : '') + '</div>';
+          }).join('') : '<div class="small-muted">' + t('log.none') + '</div>';
+          var ret = await getLogRetention();
+          if ($('#logMaxEntries') && document.activeElement !== $('#logMaxEntries')) $('#logMaxEntries').value = ret.maxEntries;
+          if ($('#logMaxDays') && document.activeElement !== $('#logMaxDays')) $('#logMaxDays').value = ret.maxDays;
+        }
+        ['#logActor', '#logType', '#logFrom', '#logTo'].forEach(function(id){ var el = $(id); if (el) el.addEventListener(id === '#logActor' ? 'input' : 'change', function(){ renderLogViewer(); }); });
+        if ($('#logVerify')) $('#logVerify').addEventListener('click', async function(){
+          try {
+            var res = await verifyAuditLog(); var out = $('#logVerifyResult');
+            out.innerHTML = res.ok ? escapeHTML(t('log.intact', { count: res.checked })) : '<span style="color:#c0392b">' + t('log.problems') + '</span><ul style="margin:4px 0 0 18px">' + res.problems.map(function(p){ return '<li>' + escapeHTML(p) + '</li>'; }).join('') + '</ul>';
+          } catch (e) { console.error('log verify failed', e); alert(t('log.verifyFailed')); }
+        });
+        if ($('#logRetentionSave')) $('#logRetentionSave').addEventListener('click', async function(){
+          try {
+            var cur = getCurrentUser() || {};
+            var res = await setLogRetention({ maxEntries: $('#logMaxEntries').value, maxDays: $('#logMaxDays').value }, cur.email || 'admin');
+            if (!res.ok) { alert(res.msg); return; }
+            renderLogViewer();
+          } catch (e) { console.error('retention save failed', e); alert(t('log.retentionFailed')); }
+        });
+
+        var msgList = $('#msgList'), msgDetail = $('#msgDetail'), selectedMessageId = '';
+        // emails the local outbox transport "sent"; they hold live links, so only admins see them
+        async function renderMailOutbox() {
+          var mailList = $('#mailList'); if (!mailList || !can(await currentRole(), 'mail.view')) return;
+          var mails = await Mail.getOutbox();
+          if ($('#mailCount')) $('#mailCount').textContent = mails.length ? '(' + mails.length + ')' : '';
+          mailList.innerHTML = mails.length ? mails.map(function(m){
+            return '<details style="padding:8px;border-bottom:1px solid rgba(0,0,0,0.06)"><summary style="cursor:pointer"><strong>' + escapeHTML(m.subject) + '</strong> <span style="opacity:.7">→ ' + escapeHTML(m.to) + '</span>' +
+              '<span class="small-muted" style="float:right">' + escapeHTML(m.kind + ' • ' + formatDate(m.created)) + '</span></summary>' +
+              '<div style="white-space:pre-wrap;font-size:.9rem;margin-top:6px;word-break:break-all">' + escapeHTML(m.text) + '</div></details>';
+          }).join('') : '<div class="small-muted">' + t('mail.none') + '</div>';
+        }
+
+        async function renderInbox() {
+          if (!msgList || !can(await currentRole(), 'messages.manage')) return;
+          var all = await DB.getMessages();
+          var newCount = all.filter(function(m){ return m && !m.spam && m.status === 'new'; }).length;
+          if ($('#msgNewCount')) $('#msgNewCount').textContent = newCount ? '(' + t('inbox.newCount', { count: newCount }) + ')' : '';
+          var list = searchMessages(all, { q: $('#msgSearch') ? $('#msgSearch').value : '', status: $('#msgStatusFilter') ? $('#msgStatusFilter').value : '' });
+          msgList.innerHTML = list.length ? '' : '<div class="small-muted">' + t('inbox.none') + '</div>';
+          list.forEach(function(m){
+            var row = document.createElement('div');
+            row.style.padding = '8px'; row.style.borderBottom = '1px solid rgba(0,0,0,0.06)'; row.style.cursor = 'pointer';
+            if (m.id === selectedMessageId) row.style.background = 'rgba(75,108,247,0.08)';
+            row.dataset.id = m.id;
+            row.innerHTML = '<strong' + (m.status === 'new' ? '' : ' style="font-weight:400"') + '>' + escapeHTML(m.name) + '</strong> <span style="opacity:.7">(' + escapeHTML(m.email) + ')</span>' +
+              '<span class="small-muted" style="float:right">' + escapeHTML(m.spam ? t('inbox.spam') : t(MESSAGE_STATUSES[m.status])) + '</span>' +
+              '<div style="clear:both;font-size:.9rem;opacity:.7">' + escapeHTML(formatDate(m.created)) + (m.assignee ? ' • ' + escapeHTML(m.assignee) : '') + ' • ' + escapeHTML(String(m.message).slice(0, 80)) + '</div>';
+            msgList.appendChild(row);
+          });
+          await renderMessageDetail();
+        }
+        async function renderMessageDetail() {
+          if (!msgDetail) return;
+          var m = selectedMessageId ? findMessage(await DB.getMessages(), selectedMessageId) : null;
+          if (!m) { msgDetail.innerHTML = '<div class="small-muted">' + t('inbox.select') + '</div>'; delete msgDetail.dataset.id; return; }
+          // a live refresh must not throw away a note or reply the admin is still typing
+          var typed = msgDetail.dataset.id === m.id ? { note: $('#msgNote') ? $('#msgNote').value : '', reply: $('#msgReply') ? $('#msgReply').value : null } : { note: '', reply: null };
+          var staff = await messageStaff();
+          var replies = (await DB.getOutbox()).filter(function(o){ return o && o.messageId === m.id; });
+          var draft = replies.find(function(o){ return o.status === 'draft'; });
+          msgDetail.innerHTML = '<h4 style="margin-bottom:4px">' + escapeHTML(m.name) + '</h4>' +
+            '<div class="small-muted">' + escapeHTML(m.email) + ' • ' + escapeHTML(formatDate(m.created)) + '</div>' +
+            (m.spam ? '<div class="small-muted" style="color:#b7791f">' + t('inbox.flagged') + (m.spamReasons && m.spamReasons.length ? ': ' + escapeHTML(m.spamReasons.join(', ')) : '') + '</div>' : '') +
+            '<div style="margin:8px 0; white-space:pre-wrap; border:1px solid rgba(0,0,0,0.06); border-radius:8px; padding:8px;">' + escapeHTML(m.message) + '</div>' +
+            '<label for="msgStatus" class="field-label">' + t('inbox.status') + '</label><select id="msgStatus">' + Object.keys(MESSAGE_STATUSES).map(function(k){ return '<option value="' + k + '"' + (k === m.status ? ' selected' : '') + '>' + escapeHTML(t(MESSAGE_STATUSES[k])) + '</option>'; }).join('') + '</select>' +
+            '<label for="msgAssignee" class="field-label">' + t('inbox.assignedTo') + '</label><select id="msgAssignee"><option value="">' + t('inbox.unassigned') + '</option>' + staff.map(function(u){ return '<option value="' + escapeHTML(u.email) + '"' + (u.email === m.assignee ? ' selected' : '') + '>' + escapeHTML(u.name || u.email) + '</option>'; }).join('') + '</select>' +
+            '<button id="msgSpam" type="button" class="toggle" style="margin-top:8px">' + t(m.spam ? 'inbox.notSpam' : 'inbox.markSpam') + '</button>' +
+            '<h4 style="margin:12px 0 4px">' + t('inbox.notes') + '</h4>' +
+            ((m.notes || []).map(function(n){ return '<div style="padding:4px 0;border-bottom:1px solid rgba(0,0,0,0.06)"><span class="small-muted">' + escapeHTML(n.by) + ' • ' + escapeHTML(formatDate(n.at)) + '</span><div style="white-space:pre-wrap">' + escapeHTML(n.text) + '</div></div>'; }).join('') || '<div class="small-muted">' + t('inbox.noNotes') + '</div>') +
+            '<textarea id="msgNote" rows="2" placeholder="' + escapeHTML(t('inbox.notePlaceholder')) + '"></textarea>' +
+            '<button id="msgAddNote" type="button" class="primary-btn" style="padding:6px 10px; margin-top:6px;">' + t('inbox.addNote') + '</button>' +
+            '<h4 style="margin:12px 0 4px">' + t('inbox.reply') + '</h4>' +
+            '<textarea id="msgReply" rows="4" placeholder="' + escapeHTML(t('inbox.replyPlaceholder', { email: m.email })) + '">' + escapeHTML(draft ? draft.body : '') + '</textarea>' +
+            '<div style="margin-top:6px; display:flex; gap:8px; flex-wrap:wrap;"><button id="msgSaveDraft" type="button" class="primary-btn" style="padding:6px 10px; background:#6b7280;">' + t('inbox.saveDraft') + '</button>' +
+            '<button id="msgQueue" type="button" class="primary-btn" style="padding:6px 10px;">' + t('inbox.queueReply') + '</button></div>' +
+            (replies.length ? '<div class="small-muted" style="margin-top:6px">' + t('inbox.outbox') + ' ' + replies.map(function(o){ return escapeHTML(t('inbox.outbox.' + o.status) + ' ' + formatDate(o.updated || o.created)); }).join('; ') + '</div>' : '');
+          msgDetail.dataset.id = m.id;
+          $('#msgNote').value = typed.note;
+          if (typed.reply !== null) $('#msgReply').value = typed.reply;
+        }
+        if (msgList) msgList.addEventListener('click', function(ev){
+          var row = ev.target.closest ? ev.target.closest('[data-id]') : null; if (!row) return;
+          selectedMessageId = row.dataset.id;
+          renderInbox();
+        });
+        if ($('#msgSearch')) $('#msgSearch').addEventListener('input', function(){ renderInbox(); });
+        if ($('#msgStatusFilter')) $('#msgStatusFilter').addEventListener('change', function(){ renderInbox(); });
+        if (msgDetail) {
+          msgDetail.addEventListener('change', async function(ev){
+            try {
+              var cur = getCurrentUser() || {}; var res;
+              if (ev.target.id === 'msgStatus') res = await updateMessage(selectedMessageId, { status: ev.target.value }, cur.email || 'admin');
+              else if (ev.target.id === 'msgAssignee') res = await updateMessage(selectedMessageId, { assignee: ev.target.value }, cur.email || 'admin');
+              else return;
+              if (!res.ok) alert(res.msg);
+              renderInbox();
+            } catch (e) { console.error('message update failed', e); }
+          });
+          msgDetail.addEventListener('click', async function(ev){
+            try {
+              var id = ev.target.id; var cur = getCurrentUser() || {}; var actor = cur.email || 'admin'; var res;
+              if (id === 'msgAddNote') res = await updateMessage(selectedMessageId, { note: $('#msgNote').value }, actor);
+              else if (id === 'msgSpam') { var m = findMessage(await DB.getMessages(), selectedMessageId); res = await updateMessage(selectedMessageId, { spam: !(m && m.spam) }, actor); }
+              else if (id === 'msgSaveDraft' || id === 'msgQueue') res = await saveReply(selectedMessageId, $('#msgReply').value, id === 'msgQueue', actor);
+              else return;
+              if (!res.ok) { alert(res.msg); return; }
+              if (id === 'msgAddNote') $('#msgNote').value = '';
+              if (id === 'msgQueue') $('#msgReply').value = '';
+              renderInbox();
+            } catch (e) { console.error('message action failed', e); }
+          });
+        }
+
         if (adminLoginForm) {
           adminLoginForm.addEventListener('submit', async function(ev){
             ev.preventDefault();
             try {
               var em = $('#adminEmail') ? ($('#adminEmail').value || '').trim() : '';
               var pw = $('#adminPass') ? ($('#adminPass').value || '') : '';
-              if (!em || !pw) { alert('Enter admin credentials'); return; }
-              var adminUser = DB.getUsers().find(function(u){ return u.email === em && u.role === 'admin'; });
-              if (!adminUser) { alert('Admin not found'); return; }
-
-              if (adminUser.salt && adminUser.passHash) {
-                var inHash = await hashWithSalt(pw, adminUser.salt);
-                if (inHash !== adminUser.passHash) { alert('Incorrect admin password'); return; }
-              } else if (adminUser.pass) {
-                try {
-                  if (atob(adminUser.pass) === pw) {
-                    var s = generateSalt(16); var ph = await hashWithSalt(pw, s);
-                    adminUser.salt = s; adminUser.passHash = ph; delete adminUser.pass; DB.saveUsers(DB.getUsers());
-                  } else { alert('Incorrect admin password'); return; }
-                } catch (e) { alert('Admin credentials invalid'); return; }
-              } else {
-                alert('Admin account corrupted'); return;
-              }
+              if (!em || !pw) { alert(t('admin.enterCredentials')); return; }
+              var candidate = findUser(await DB.getUsers(), em);
+              if (!candidate || !can(candidate.role, 'admin.access')) { alert(t('admin.notFound')); return; }
+              var auth = await authenticate(em, pw);
+              if (!auth.ok) { alert(auth.code === 'password' ? t('admin.wrongPassword') : auth.msg); return; }
+              var adminUser = auth.user;
 
-              if (adminLoginForm) adminLoginForm.style.display = 'none';
-              if (adminPanel) adminPanel.style.display = 'block';
-              localStorage.setItem('ap_currentUser', JSON.stringify({ email: adminUser.email, role: 'admin', name: adminUser.name }));
-              DB.logActivity({ email: adminUser.email, action: 'Admin logged in', timestamp: new Date().toISOString() });
-              await renderAdmin();
-            } catch (e) { console.error('admin login handler failed', e); alert('Admin login failed'); }
+              session = Session.start(adminUser);
+              renderSessionNav();
+              await DB.logActivity({ type: 'auth.login', actor: adminUser.email, target: adminUser.email, action: 'Admin logged in', details: { via: 'admin' } });
+              if (adminUser.mustChangePassword) { window.location.href = 'profile.html?force=1'; return; }
+              await showAdminPanel();
+            } catch (e) { console.error('admin login handler failed', e); alert(t('admin.loginFailed')); }
           });
         }
 
+        async function showAdminPanel() {
+          var loginCard = adminLoginForm ? (adminLoginForm.closest('.card') || adminLoginForm) : null;
+          if (loginCard) loginCard.style.display = 'none';
+          if (adminPanel) adminPanel.style.display = 'block';
+          await renderAdmin();
+        }
+        // a live admin session survives reloads; the sign-in form is only for signed-out visitors
+        if (session && can(await currentRole(), 'admin.access')) await showAdminPanel();
+        // registrations, posts and messages from other tabs show up without a reload
+        DB.onChange(function(keys){
+          if (adminPanel && adminPanel.style.display !== 'none' && changedAny(keys, ['ap_users', 'ap_ann', 'ap_events', 'ap_messages', 'ap_outbox', 'ap_mentors', 'ap_mentorships', 'ap_jobs', MAIL_KEY, 'ap_logs', 'ap_log_retention'])) renderAdmin();
+        });
+
         var postBtn = $('#postAnn');
+        function resetAnnForm() {
+          ['#annId', '#annText', '#annPublishAt', '#annExpiresAt'].forEach(function(id){ if ($(id)) $(id).value = ''; });
+          if ($('#annPinned')) $('#annPinned').checked = false;
+          if (postBtn) postBtn.textContent = t('ann.post');
+          if ($('#annCancel')) $('#annCancel').style.display = 'none';
+        }
         if (postBtn) {
-          postBtn.addEventListener('click', function(){
+          postBtn.addEventListener('click', async function(){
             try {
-              var txt = $('#annText') ? ($('#annText').value || '').trim() : '';
-              if (!txt) { alert('Enter announcement'); return; }
-              var cur = JSON.parse(localStorage.getItem('ap_currentUser') || '{}');
-              var ann = { text: txt, by: cur.name || cur.email || 'Admin', timestamp: new Date().toISOString() };
-              DB.saveAnnouncement(ann); DB.logActivity({ email: cur.email || 'admin', action: 'Posted announcement', timestamp: new Date().toISOString() });
-              if ($('#annText')) $('#annText').value = '';
+              var cur = getCurrentUser() || {};
+              var res = await saveAnnouncement({
+                id: $('#annId') ? $('#annId').value : '', text: $('#annText') ? $('#annText').value : '',
+                publishAt: $('#annPublishAt') ? $('#annPublishAt').value : '', expiresAt: $('#annExpiresAt') ? $('#annExpiresAt').value : '',
+                pinned: $('#annPinned') ? $('#annPinned').checked : false
+              }, { email: cur.email || 'admin', name: cur.name || cur.email || 'Admin' });
+              if (!res.ok) { alert(res.msg); return; }
+              resetAnnForm();
               renderAdmin();
-            } catch (e) { console.error('postAnn handler failed', e); alert('Could not post announcement'); }
+            } catch (e) { console.error('postAnn handler failed', e); alert(t('ann.postFailed')); }
           });
         }
+        if ($('#annCancel')) $('#annCancel').addEventListener('click', resetAnnForm);
+        var annList = $('#annList');
+        if (annList) annList.addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('button[data-id]') : null; if (!btn) return;
+            var found = findAnnouncement(await DB.getAnnouncements(), btn.dataset.id); if (!found) return;
+            var cur = getCurrentUser() || {}; var actor = { email: cur.email || 'admin', name: cur.name };
+            if (btn.classList.contains('annEdit')) {
+              $('#annId').value = found.id; $('#annText').value = found.text || '';
+              $('#annPublishAt').value = toLocalInput(found.publishAt); $('#annExpiresAt').value = toLocalInput(found.expiresAt);
+              $('#annPinned').checked = !!found.pinned;
+              postBtn.textContent = t('common.saveChanges'); if ($('#annCancel')) $('#annCancel').style.display = '';
+              $('#annText').focus();
+              return;
+            }
+            if (btn.classList.contains('annDelete') && !confirm(t('ann.confirmDelete'))) return;
+            var res = await updateAnnouncement(found.id, btn.classList.contains('annDelete') ? 'delete' : (found.pinned ? 'unpin' : 'pin'), actor);
+            if (!res.ok) alert(res.msg);
+            if (btn.classList.contains('annDelete') && $('#annId') && $('#annId').value === found.id) resetAnnForm();
+            renderAdmin();
+          } catch (e) { console.error('announcement action failed', e); }
+        });
 
         var exportUsersBtn = $('#exportUsersBtn'), exportLogsBtn = $('#exportLogsBtn');
         function ts() { var d = new Date(); return d.getFullYear() + String(d.getMonth()+1).padStart(2,'0') + String(d.getDate()).padStart(2,'0') + '_' + String(d.getHours()).padStart(2,'0') + String(d.getMinutes()).padStart(2,'0'); }
-        if (exportUsersBtn) exportUsersBtn.addEventListener('click', function(){ try { var users = DB.getUsers(); var rows = users.map(function(u){ return { email: u.email||'', name: u.name||'', role: u.role||'user', disabled: u.disabled ? 'true' : 'false', created: u.created||'', lastLogin: u.lastLogin||'' }; }); var csv = arrayToCSV(rows, ['email','name','role','disabled','created','lastLogin']); downloadCSV('users_' + ts() + '.csv', csv); DB.logActivity({ email: 'admin', action: 'Exported users CSV', timestamp: new Date().toISOString() }); } catch (e) { console.error('exportUsers failed', e); alert('Export failed'); } });
-        if (exportLogsBtn) exportLogsBtn.addEventListener('click', function(){ try { var logs = DB.getLogs(); var rows = logs.map(function(l){ return { email: l.email||'', action: l.action||'', timestamp: l.timestamp||'' }; }); var csv = arrayToCSV(rows, ['email','action','timestamp']); downloadCSV('activity_' + ts() + '.csv', csv); DB.logActivity({ email: 'admin', action: 'Exported activity CSV', timestamp: new Date().toISOString() }); } catch (e) { console.error('exportLogs failed', e); alert('Export failed'); } });
+        if ($('#jobsAdminList')) $('#jobsAdminList').addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('.jobReview, .jobClose') : null;
+            if (!btn) return;
+            var cur = getCurrentUser() || {};
+            var res = btn.classList.contains('jobReview') ? await reviewJob(btn.dataset.id, btn.dataset.decision, cur.email || 'admin') :
+              (confirm(t('jobs.confirmTakeDown')) ? await closeJob(btn.dataset.id, cur) : null);
+            if (res && !res.ok) alert(res.msg);
+            renderAdmin();
+          } catch (e) { console.error('job review failed', e); }
+        });
+        var exportMentorshipsBtn = $('#exportMentorshipsBtn');
+        if (exportMentorshipsBtn) exportMentorshipsBtn.addEventListener('click', async function(){
+          try {
+            if (!await authorize('mentorship.export')) { alert(t('mentor.noExportPermission')); return; }
+            var cur = getCurrentUser() || {};
+            var rows = mentorshipCSVRows(await DB.getMentorships(), await DB.getMentors());
+            downloadCSV('mentorships_' + ts() + '.csv', arrayToCSV(rows, MENTORSHIP_CSV_FIELDS));
+            DB.logActivity({ type: 'data.export', actor: cur.email || 'admin', target: 'mentorships', action: 'Exported mentorship pairings CSV', details: { rows: rows.length } });
+          } catch (e) { console.error('exportMentorships failed', e); alert(t('common.exportFailed')); }
+        });
+        if (exportUsersBtn) exportUsersBtn.addEventListener('click', async function(){ try { if (!await authorize('users.export')) { alert(t('users.noExportPermission')); return; } var cur = getCurrentUser() || {}; var users = await DB.getUsers(); var rows = users.map(function(u){ return { email: u.email||'', name: u.name||'', role: normalizeRole(u.role), disabled: u.disabled ? 'true' : 'false', verified: u.emailVerified === false ? 'false' : 'true', created: u.created||'', lastLogin: u.lastLogin||'' }; }); var csv = arrayToCSV(rows, ['email','name','role','disabled','verified','created','lastLogin']); downloadCSV('users_' + ts() + '.csv', csv); DB.logActivity({ type: 'data.export', actor: cur.email || 'admin', target: 'users', action: 'Exported users CSV', details: { rows: rows.length } }); } catch (e) { console.error('exportUsers failed', e); alert(t('common.exportFailed')); } });
+        if (exportLogsBtn) exportLogsBtn.addEventListener('click', async function(){ try { if (!await authorize('logs.export')) { alert(t('log.noExportPermission')); return; } var cur = getCurrentUser() || {}; var logs = filterLogs(await DB.getLogs(), logFilter()); var csv = arrayToCSV(auditCSVRows(logs), AUDIT_CSV_FIELDS); downloadCSV('activity_' + ts() + '.csv', csv); DB.logActivity({ type: 'data.export', actor: cur.email || 'admin', target: 'activity log', action: 'Exported activity CSV', details: { rows: logs.length, filter: logFilter() } }); } catch (e) { console.error('exportLogs failed', e); alert(t('common.exportFailed')); } });
+
+        var importFile = $('#importFile'), importPreview = $('#importPreview'), importApply = $('#importApply'), importReport = $('#importReport');
+        var importPlan = null;
+        function renderImportReport(plan) {
+          if (!importReport) return;
+          if (!plan.ok) { importReport.innerHTML = '<div class="form-error" role="alert">' + escapeHTML(plan.msg) + '</div>'; return; }
+          var head = '<div class="small-muted" style="margin-bottom:6px">' + escapeHTML(t('import.dryRun', { create: plan.create, duplicate: plan.duplicate, error: plan.error })) + '</div>';
+          var rows = plan.rows.filter(function(r){ return r.status !== 'create'; }).map(function(r){
+            return '<div style="padding:4px 0;border-bottom:1px solid rgba(0,0,0,0.06)">' + escapeHTML(t('import.line', { line: r.line }) + ' • ' + (r.data.email || t('import.noEmail'))) + ' — <span style="color:' + (r.status === 'error' ? '#c0392b' : '#b7791f') + '">' + escapeHTML(r.errors.join('; ')) + '</span></div>';
+          }).join('');
+          importReport.innerHTML = head + (rows ? '<div style="border:1px solid rgba(0,0,0,0.06); border-radius:8px; overflow:auto; max-height:200px; padding:8px;">' + rows + '</div>' : '');
+        }
+        if (importFile) importFile.addEventListener('change', function(){ importPlan = null; if (importApply) importApply.disabled = true; if (importReport) importReport.innerHTML = ''; });
+        if (importPreview) importPreview.addEventListener('click', async function(){
+          try {
+            var file = importFile && importFile.files ? importFile.files[0] : null;
+            if (!file) { alert(t('import.chooseFile')); return; }
+            var text = await new Promise(function(resolve, reject){ var reader = new FileReader(); reader.onload = function(){ resolve(String(reader.result || '')); }; reader.onerror = reject; reader.readAsText(file); });
+            importPlan = planUserImport(text, await DB.getUsers());
+            renderImportReport(importPlan);
+            if (importApply) importApply.disabled = !(importPlan.ok && importPlan.create);
+          } catch (e) { console.error('import preview failed', e); alert(t('import.readFailed')); }
+        });
+        if (importApply) importApply.addEventListener('click', async function(){
+          try {
+            if (!importPlan || !importPlan.ok || !importPlan.create) return;
+            if (!confirm(t('import.confirm', { count: importPlan.create }))) return;
+            var cur = getCurrentUser() || {};
+            var res = await applyUserImport(importPlan, cur.email || 'admin');
+            if (!res.ok) { alert(res.msg); return; }
+            importPlan = null; importApply.disabled = true; if (importFile) importFile.value = '';
+            if (importReport) importReport.innerHTML = '<div class="small-muted">' + escapeHTML(t('import.done', { count: res.created.length })) + '</div>';
+            renderAdmin();
+          } catch (e) { console.error('import failed', e); alert(t('import.failed')); }
+        });
+        if ($('#importTemplate')) $('#importTemplate').addEventListener('click', function(){
+          downloadCSV('users_import_template.csv', arrayToCSV([{ email: 'jane@example.com', name: 'Jane Doe', gradYear: 2018, department: 'CSE', company: 'Acme', title: 'Engineer', city: 'Pune', skills: 'Python, SQL' }], IMPORT_TEMPLATE));
+        });
+
+        var restoreFile = $('#restoreFile'), restoreMode = $('#restoreMode'), restoreApply = $('#restoreApply'), restoreReport = $('#restoreReport');
+        var restoreArchive = null;
+        function resetRestore() { restoreArchive = null; if (restoreApply) restoreApply.disabled = true; }
+        if ($('#backupBtn')) $('#backupBtn').addEventListener('click', async function(){
+          try {
+            var cur = getCurrentUser() || {};
+            var res = await createBackup(cur.email || 'admin');
+            if (!res.ok) { alert(res.msg); return; }
+            downloadFile('portal_backup_' + ts() + '.json', JSON.stringify(res.archive, null, 2), 'application/json;charset=utf-8;');
+          } catch (e) { console.error('backup failed', e); alert(t('backup.failed')); }
+        });
+        if (restoreFile) restoreFile.addEventListener('change', function(){ resetRestore(); if (restoreReport) restoreReport.innerHTML = ''; });
+        if (restoreMode) restoreMode.addEventListener('change', function(){ resetRestore(); if (restoreReport) restoreReport.innerHTML = ''; });
+        if ($('#restorePreview')) $('#restorePreview').addEventListener('click', async function(){
+          try {
+            resetRestore();
+            var file = restoreFile && restoreFile.files ? restoreFile.files[0] : null;
+            if (!file) { alert(t('backup.chooseFile')); return; }
+            var text = await new Promise(function(resolve, reject){ var reader = new FileReader(); reader.onload = function(){ resolve(String(reader.result || '')); }; reader.onerror = reject; reader.readAsText(file); });
+            var read = await readBackup(text);
+            var plan = read.ok ? await planRestore(read.archive, restoreMode ? restoreMode.value : 'merge') : read;
+            if (!plan.ok) { restoreReport.innerHTML = '<div class="form-error" role="alert">' + escapeHTML(plan.msg) + '</div>'; return; }
+            var lines = plan.changes.map(function(c){
+              var parts = [];
+              if (c.added) parts.push(t('backup.added', { count: c.added })); if (c.replaced) parts.push(t('backup.replaced', { count: c.replaced })); if (c.removed) parts.push(t('backup.removed', { count: c.removed }));
+              return '<div style="padding:4px 0;border-bottom:1px solid rgba(0,0,0,0.06)"><strong>' + escapeHTML(t(c.label)) + '</strong>: ' + escapeHTML(parts.join(', ')) + '</div>';
+            }).join('');
+            restoreReport.innerHTML = '<div class="small-muted" style="margin-bottom:6px">' + escapeHTML(t('backup.previewHead', { date: formatDate(read.archive.created), by: read.archive.by || t('backup.unknown'), mode: t('backup.mode.' + plan.mode) })) + '</div>' +
+              (lines || '<div class="small-muted">' + t('backup.noDifferences') + '</div>') +
+              '<div class="small-muted" style="margin-top:6px">' + t('backup.logsKept') + '</div>';
+            restoreArchive = read.archive;
+            if (restoreApply) restoreApply.disabled = !plan.changes.length;
+          } catch (e) { console.error('restore preview failed', e); alert(t('backup.readFailed')); }
+        });
+        if (restoreApply) restoreApply.addEventListener('click', async function(){
+          try {
+            if (!restoreArchive) return;
+            var mode = restoreMode ? restoreMode.value : 'merge';
+            if (!confirm(t(mode === 'replace' ? 'backup.confirmReplace' : 'backup.confirmMerge'))) return;
+            var cur = getCurrentUser() || {};
+            var res = await applyRestore(restoreArchive, mode, cur.email || 'admin');
+            if (!res.ok) { alert(res.msg); return; }
+            alert(t('backup.restored'));
+            window.location.reload();
+          } catch (e) { console.error('restore failed', e); alert(t('backup.restoreFailed')); }
+        });
+
+        var eventForm = $('#eventForm');
+        function resetEventForm() {
+          if (!eventForm) return;
+          eventForm.reset(); if ($('#evId')) $('#evId').value = '';
+          if ($('#evFormTitle')) $('#evFormTitle').textContent = t('events.new');
+        }
+        if (eventForm) {
+          eventForm.addEventListener('submit', async function(ev){
+            ev.preventDefault();
+            try {
+              var cur = getCurrentUser() || {};
+              var res = await saveEvent({
+                id: $('#evId').value, title: $('#evTitle').value, start: $('#evStart').value, end: $('#evEnd').value,
+                location: $('#evLocation').value, capacity: $('#evCapacity').value, description: $('#evDesc').value
+              }, cur.email || 'admin');
+              if (!res.ok) { alert(res.msg); return; }
+              resetEventForm(); renderAdmin();
+            } catch (e) { console.error('event save failed', e); alert(t('events.saveFailed')); }
+          });
+          if ($('#evReset')) $('#evReset').addEventListener('click', resetEventForm);
+        }
+        var eventsAdminList = $('#eventsAdminList');
+        if (eventsAdminList) eventsAdminList.addEventListener('click', async function(ev){
+          try {
+            var btn = ev.target.closest ? ev.target.closest('button[data-id]') : null; if (!btn) return;
+            var found = findEvent(await DB.getEvents(), btn.dataset.id); if (!found) return;
+            var cur = getCurrentUser() || {};
+            if (btn.classList.contains('evEdit')) {
+              $('#evId').value = found.id; $('#evTitle').value = found.title || ''; $('#evStart').value = toLocalInput(found.start); $('#evEnd').value = toLocalInput(found.end);
+              $('#evLocation').value = found.location || ''; $('#evCapacity').value = found.capacity || 0; $('#evDesc').value = found.description || '';
+              if ($('#evFormTitle')) $('#evFormTitle').textContent = t('events.edit');
+            } else if (btn.classList.contains('evToggle')) {
+              if (found.status !== 'cancelled' && !confirm(t('events.confirmCancel', { title: found.title }))) return;
+              var res = await setEventStatus(found.id, found.status === 'cancelled' ? 'active' : 'cancelled', cur.email || 'admin');
+              if (!res.ok) alert(res.msg);
+              renderAdmin();
+            } else if (btn.classList.contains('evCsv')) {
+              if (!await authorize('events.export', found.title)) { alert(t('events.noExportPermission')); return; }
+              var csv = arrayToCSV(eventAttendeeRows(found), ['name','email','status','position','rsvpAt']);
+              downloadCSV('attendees_' + eventFilename(found, 'csv').replace(/\.csv$/, '') + '_' + ts() + '.csv', csv);
+              DB.logActivity({ type: 'data.export', actor: cur.email || 'admin', target: found.id, action: 'Exported attendees CSV for ' + found.title });
+            }
+          } catch (e) { console.error('event admin action failed', e); }
+        });
       }
     } catch (e) { console.error('Admin block failed', e); }
 
@@ -429,7 +4467,8 @@ document.addEventListener('DOMContentLoaded', function () {
 
         function clearContactErrors() { try { showFieldError('#nameError',''); showFieldError('#emailError',''); showFieldError('#messageError',''); showFormError(''); } catch(e){} }
 
-        if (submitBtn) submitBtn.addEventListener('click', function(ev){
+        var contactOpenedAt = Date.now();
+        if (submitBtn) submitBtn.addEventListener('click', async function(ev){
           ev.preventDefault();
           try {
             clearContactErrors();
@@ -437,14 +4476,16 @@ document.addEventListener('DOMContentLoaded', function () {
             var mail = mailInput ? (mailInput.value || '').trim() : '';
             var msg = msgInput ? (msgInput.value || '').trim() : '';
             var ok = true;
-            if (!name) { showFieldError('#nameError','Please enter your name'); ok = false; }
-            if (!mail) { showFieldError('#emailError','Please enter your email'); ok = false; } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(mail)) { showFieldError('#emailError','Enter a valid email'); ok = false; }
-            if (!msg) { showFieldError('#messageError','Please enter a message'); ok = false; }
+            if (!name) { showFieldError('#nameError', t('contact.nameRequired')); ok = false; }
+            if (!mail) { showFieldError('#emailError', t('contact.emailRequired')); ok = false; } else if (!EMAIL_PATTERN.test(mail)) { showFieldError('#emailError', t('form.emailInvalid')); ok = false; }
+            if (!msg) { showFieldError('#messageError', t('contact.messageRequired')); ok = false; }
             if (!ok) return;
-            DB.logActivity({ email: mail, action: 'Contact form sent', timestamp: new Date().toISOString(), meta: { name: name } });
-            showFormError('Message sent! Thank you — we will respond by email.');
+            var res = await submitContactMessage({ name: name, email: mail, message: msg, honeypot: $('#website') ? $('#website').value : '' }, Date.now() - contactOpenedAt);
+            if (!res.ok) { showFormError(res.msg); return; }
+            showFormError(t('contact.sent'));
             if (nameInput) nameInput.value = ''; if (mailInput) mailInput.value = ''; if (msgInput) msgInput.value = '';
-          } catch (e) { console.error('contact submit failed', e); showFormError('Could not send message'); }
+            contactOpenedAt = Date.now();
+          } catch (e) { console.error('contact submit failed', e); showFormError(t('contact.sendFailed')); }
         });
       }
     } catch (e) { console.error('Contact block failed', e); }